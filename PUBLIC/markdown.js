@@ -0,0 +1,237 @@
+// Markdown for chat messages: **bold**, *italic*, `inline code`, fenced code blocks with
+// syntax highlighting and a copy button, links and bulleted or numbered lists.
+// Everything is built with DOM nodes and textContent, never from HTML strings, so
+// message text cannot inject markup. Links must be http(s) or mailto and open in a
+// new tab with rel="noopener noreferrer".
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const SAFE_LINK_PATTERN = /^(?:https?:\/\/|mailto:)/i;
+
+// Groups: 1 inline code, 2-3 link text and url, 4 bold, 5 italic (*), 6 italic (_), 7 bare url
+const INLINE_PATTERN = new RegExp([
+    '`([^`\\n]+)`',
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',
+    '\\*\\*(\\S(?:[^\\n]*?\\S)?)\\*\\*',
+    '\\*(\\S(?:[^*\\n]*?\\S)?)\\*',
+    '\\b_([^_\\n]+)_\\b',
+    '(https?:\\/\\/[^\\s<]+[^\\s<.,:;"\')\\]!?])'
+].join('|'), 'g');
+
+// Highlighting only tells comments, strings, numbers and keywords apart, which
+// reads well enough for the languages people paste into a chat
+const CODE_KEYWORDS = new Set((
+    'abstract as async await break case catch class const continue def default defer del delete do elif else ' +
+    'enum except export extends false False final finally fn for from func function go if impl import in ' +
+    'instanceof interface is lambda let match mut new nil None not null or and package pass private protected ' +
+    'pub public raise return self static struct super switch this throw throws true True try type typeof ' +
+    'undefined use var void while with yield'
+).split(' '));
+const SQL_KEYWORDS = new Set((
+    'add all alter and as asc begin by create delete desc distinct drop end exists from group having in index ' +
+    'inner insert into is join key left like limit not null on or order outer primary references right select ' +
+    'set table union unique update values where'
+).split(' '));
+const HASH_COMMENT_LANGUAGES = new Set(['py', 'python', 'rb', 'ruby', 'sh', 'bash', 'shell', 'zsh', 'yaml', 'yml', 'toml', 'r']);
+
+// Groups: 1 comment, 2 string, 3 number, 4 word
+const CODE_PATTERNS = {
+    c: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+    hash: /(#[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][\w]*)/g,
+    sql: /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:''|[^'])*'|"[^"\n]*")|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][\w]*)/g
+};
+
+// Returns a DocumentFragment with the formatted message
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(text).split('\n');
+    let paragraph = null;
+    let list = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // A fence without its closing ``` runs to the end of the message
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const code = [];
+            while (i + 1 < lines.length && !/^\s*```\s*$/.test(lines[i + 1])) {
+                code.push(lines[++i]);
+            }
+            i++;
+            fragment.appendChild(createCodeBlock(code.join('\n'), fence[1].toLowerCase()));
+            paragraph = list = null;
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            if (!list || (list.tagName === 'OL') !== ordered) {
+                list = document.createElement(ordered ? 'ol' : 'ul');
+                if (ordered && parseInt(item[1], 10) !== 1) {
+                    list.start = parseInt(item[1], 10);
+                }
+                fragment.appendChild(list);
+            }
+            const li = document.createElement('li');
+            appendInline(li, item[2]);
+            list.appendChild(li);
+            paragraph = null;
+            continue;
+        }
+
+        if (!line.trim()) {
+            paragraph = list = null;
+            continue;
+        }
+
+        if (paragraph) {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph = document.createElement('p');
+            fragment.appendChild(paragraph);
+        }
+        appendInline(paragraph, line);
+        list = null;
+    }
+    return fragment;
+}
+
+function appendInline(parent, text, allowLinks = true) {
+    let last = 0;
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        last = match.index + match[0].length;
+
+        if (match[1] !== undefined) {
+            const code = document.createElement('code');
+            code.textContent = match[1];
+            parent.appendChild(code);
+        } else if (match[2] !== undefined) {
+            if (allowLinks && isSafeLink(match[3])) {
+                const link = createLink(match[3]);
+                appendInline(link, match[2], false);
+                parent.appendChild(link);
+            } else {
+                parent.appendChild(document.createTextNode(match[0]));
+            }
+        } else if (match[4] !== undefined) {
+            const strong = document.createElement('strong');
+            appendInline(strong, match[4], allowLinks);
+            parent.appendChild(strong);
+        } else if (match[5] !== undefined || match[6] !== undefined) {
+            const em = document.createElement('em');
+            appendInline(em, match[5] !== undefined ? match[5] : match[6], allowLinks);
+            parent.appendChild(em);
+        } else if (allowLinks && isSafeLink(match[7])) {
+            const link = createLink(match[7]);
+            link.textContent = match[7];
+            parent.appendChild(link);
+        } else {
+            parent.appendChild(document.createTextNode(match[0]));
+        }
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function isSafeLink(url) {
+    if (!SAFE_LINK_PATTERN.test(url)) return false;
+    try {
+        new URL(url);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function createLink(url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
+
+function createCodeBlock(code, language) {
+    const block = document.createElement('div');
+    block.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-block-header';
+    const label = document.createElement('span');
+    label.textContent = language || 'code';
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'code-copy';
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', function() {
+        copyCode(code, copyButton);
+    });
+    header.appendChild(label);
+    header.appendChild(copyButton);
+
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    if (language) {
+        highlightCode(codeElement, code, language);
+    } else {
+        codeElement.textContent = code;
+    }
+    pre.appendChild(codeElement);
+
+    block.appendChild(header);
+    block.appendChild(pre);
+    return block;
+}
+
+function highlightCode(parent, code, language) {
+    const isSql = language === 'sql';
+    const pattern = isSql ? CODE_PATTERNS.sql : HASH_COMMENT_LANGUAGES.has(language) ? CODE_PATTERNS.hash : CODE_PATTERNS.c;
+
+    let last = 0;
+    for (const match of code.matchAll(pattern)) {
+        const isKeyword = match[4] !== undefined &&
+            (isSql ? SQL_KEYWORDS.has(match[4].toLowerCase()) : CODE_KEYWORDS.has(match[4]));
+        const kind = match[1] !== undefined ? 'comment'
+            : match[2] !== undefined ? 'string'
+            : match[3] !== undefined ? 'number'
+            : isKeyword ? 'keyword' : null;
+        if (!kind) continue;
+
+        parent.appendChild(document.createTextNode(code.slice(last, match.index)));
+        const span = document.createElement('span');
+        span.className = `token-${kind}`;
+        span.textContent = match[0];
+        parent.appendChild(span);
+        last = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(code.slice(last)));
+}
+
+// The Clipboard API needs a secure context; plain http falls back to a hidden textarea
+function copyCode(code, button) {
+    const copied = navigator.clipboard && window.isSecureContext
+        ? navigator.clipboard.writeText(code)
+        : new Promise(function(resolve, reject) {
+            const textarea = document.createElement('textarea');
+            textarea.value = code;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const ok = document.execCommand('copy');
+            textarea.remove();
+            ok ? resolve() : reject(new Error('Copy failed'));
+        });
+
+    copied.then(function() {
+        button.textContent = 'Copied!';
+    }).catch(function() {
+        button.textContent = 'Copy failed';
+    }).finally(function() {
+        setTimeout(function() {
+            button.textContent = 'Copy';
+        }, 1500);
+    });
+}
@@ -3,243 +3,2441 @@ let socket;
 let currentUsername = '';
 let isConnected = false;
 
+// Session state ({ username, token } from /api/login or /api/register)
+const SESSION_STORAGE_KEY = 'chatSession';
+let authMode = 'login';
+let sessionToken = null;
+
+// Uploaded files waiting to be sent with the next room message
+const pendingAttachments = [];
+
+// Room state
+const DEFAULT_ROOM = 'general';
+let currentRoom = DEFAULT_ROOM;
+const rooms = new Map(); // name -> { name, userCount, joined, unread, aiEnabled, members }
+
+// Presence ({ username, nickname, status, lastSeenAt } by username, status being online,
+// away or offline). The tab counts as away while hidden or after IDLE_AFTER_MS without input.
+const presenceByUser = new Map();
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+let lastActivityAt = Date.now();
+let reportedAway = false;
+let membersPanelOpen = false;
+
+// Emoji offered by the reaction picker
+const REACTION_CHOICES = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// Paging state for the open room's history
+const HISTORY_PAGE_SIZE = 20;
+let historyCursor = null;   // id to pass as `before` for the next older page
+let isLoadingHistory = false;
+
+// AI reply currently streaming into the chat ({ requestId, messageDiv, text, conversation })
+let aiStream = null;
+
+// AI conversation state; while AI mode is on the chat pane shows currentAiConversation
+// ({ id, title }, where id stays null until a new chat gets its first reply)
+let currentAiConversation = null;
+let aiConversations = []; // [{ id, title, createdAt, updatedAt }], most recently active first
+
+// Read receipts per room (room -> Map of username -> { lastDeliveredId, lastReadId }),
+// and the newest message this client has reported as read in each room
+const roomReceipts = new Map();
+const readAcks = new Map(); // room -> id
+const pendingReadRooms = new Set();
+let readAckTimer = null;
+
+// Search state: the query of the results on screen and the cursor for more ({ params, nextBefore })
+let searchState = null;
+// A search result to show once its room's history is requested ({ room, id })
+let pendingJump = null;
+// True while the pane shows older messages around a search result; new messages are not appended then
+let historyDetached = false;
+
+// Room messages not yet acknowledged by the server, kept in localStorage per user so they
+// survive a reload ([{ clientId, room, text, timestamp, attachments, state, error }]).
+// They are resent once their room is joined; the client id stops the server storing one twice.
+const OUTBOX_STORAGE_PREFIX = 'chatOutbox:';
+const SEND_TIMEOUT_MS = 10000;
+let outbox = [];
+const outboxInFlight = new Map(); // client id -> the send on this connection still awaiting an answer
+
+// Session resumption: the newest room message id received (ids grow across rooms),
+// sent on reconnect so the server can replay what was missed
+let lastSeenMessageId = 0;
+let connectionStatusTimer = null;
+let resumePending = false;
+
+// The thread open in the side panel ({ id, room, nextAfter }); id is the thread's first message
+let openThread = null;
+
+// Your role ('member', 'moderator' or 'admin'); moderators can delete anyone's message
+let currentRole = 'member';
+// Why the server disconnected us (a kick or ban), shown instead of "Reconnecting…"
+let removalNotice = null;
+
+// Longest message the server accepts; replaced by its `limits` once connected
+let maxMessageLength = 2000;
+const MAX_INPUT_ROWS = 6;
+
+// Slash commands from the server ({ name, usage, description }) for autocomplete
+let commandList = [];
+let commandSuggestionIndex = 0;
+
+// Direct-message state; when currentDm is set the chat pane shows that thread
+let currentDm = null;
+const directConversations = new Map(); // username -> { username, unread }
+
 // DOM elements
 const usernameModal = document.getElementById('username-modal');
 const usernameInput = document.getElementById('username-input');
+const passwordInput = document.getElementById('password-input');
 const joinButton = document.getElementById('join-button');
+const authForm = document.getElementById('auth-form');
+const authTitle = document.getElementById('auth-title');
+const authSwitchText = document.getElementById('auth-switch-text');
+const authSwitchLink = document.getElementById('auth-switch-link');
+const logoutButton = document.getElementById('logout-button');
 const currentUserSpan = document.getElementById('current-user');
 const messageInput = document.getElementById('message-input');
+const commandSuggestions = document.getElementById('command-suggestions');
 const sendButton = document.getElementById('send-button');
+const attachButton = document.getElementById('attach-button');
+const fileInput = document.getElementById('file-input');
+const pendingAttachmentsDiv = document.getElementById('pending-attachments');
 const chatMessages = document.getElementById('chat-messages');
 const aiToggle = document.getElementById('ai-toggle');
+const roomList = document.getElementById('room-list');
+const roomCreateForm = document.getElementById('room-create-form');
+const roomNameInput = document.getElementById('room-name-input');
+const roomCreateButton = document.getElementById('room-create-button');
+const currentRoomSpan = document.getElementById('current-room');
+const roomUserCountSpan = document.getElementById('room-user-count');
+const roomAiSetting = document.getElementById('room-ai-setting');
+const roomAiToggle = document.getElementById('room-ai-toggle');
+const roomSummary = document.getElementById('room-summary');
+const roomSummaryRange = document.getElementById('room-summary-range');
+const roomSummaryButton = document.getElementById('room-summary-button');
+const searchButton = document.getElementById('search-button');
+const searchPanel = document.getElementById('search-panel');
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+const searchCloseButton = document.getElementById('search-close');
+const searchRoomSelect = document.getElementById('search-room');
+const searchUserInput = document.getElementById('search-user');
+const searchFromInput = document.getElementById('search-from');
+const searchToInput = document.getElementById('search-to');
+const searchStatus = document.getElementById('search-status');
+const searchResults = document.getElementById('search-results');
+const searchMoreButton = document.getElementById('search-more');
+const jumpLatestButton = document.getElementById('jump-latest-button');
+const connectionStatus = document.getElementById('connection-status');
+const membersButton = document.getElementById('members-button');
+const membersPanel = document.getElementById('members-panel');
+const membersTitle = document.getElementById('members-title');
+const memberList = document.getElementById('member-list');
+const threadPanel = document.getElementById('thread-panel');
+const threadTitle = document.getElementById('thread-title');
+const threadCloseButton = document.getElementById('thread-close');
+const threadMessages = document.getElementById('thread-messages');
+const threadMoreButton = document.getElementById('thread-more');
+const threadForm = document.getElementById('thread-form');
+const threadInput = document.getElementById('thread-input');
+const dmList = document.getElementById('dm-list');
+const dmStartForm = document.getElementById('dm-start-form');
+const dmUsernameInput = document.getElementById('dm-username-input');
+const dmStartButton = document.getElementById('dm-start-button');
+const aiList = document.getElementById('ai-list');
+const aiNewButton = document.getElementById('ai-new-button');
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', function() {
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Resume a saved session, otherwise ask the user to log in
+    const session = loadSession();
+    if (session) {
+        startSession(session);
+    } else {
+        showUsernameModal();
+    }
+});
+
+function setupEventListeners() {
+    // Login / sign-up modal events
+    authForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        joinChat();
+    });
+    authSwitchLink.addEventListener('click', function(e) {
+        e.preventDefault();
+        setAuthMode(authMode === 'login' ? 'register' : 'login');
+    });
+    logoutButton.addEventListener('click', logout);
+    
+    // Message input events
+    messageInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        }
+    });
+    
+    // Slash command autocomplete
+    messageInput.addEventListener('input', updateCommandSuggestions);
+    messageInput.addEventListener('input', resizeMessageInput);
+    messageInput.addEventListener('blur', hideCommandSuggestions);
+    messageInput.addEventListener('keydown', function(e) {
+        const items = commandSuggestions.children;
+        if (commandSuggestions.style.display === 'none' || items.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            commandSuggestionIndex = (commandSuggestionIndex + step + items.length) % items.length;
+            renderCommandSuggestions();
+        } else if (e.key === 'Tab' || e.key === 'Enter') {
+            // Completing swallows the key so Enter does not send the half-typed command
+            e.preventDefault();
+            applyCommandSuggestion(items[commandSuggestionIndex].dataset.name);
+        } else if (e.key === 'Escape') {
+            hideCommandSuggestions();
+        }
+    });
+    commandSuggestions.addEventListener('mousedown', function(e) {
+        // mousedown fires before the input blurs and hides the list
+        const item = e.target.closest('li');
+        if (item) {
+            e.preventDefault();
+            applyCommandSuggestion(item.dataset.name);
+        }
+    });
+    
+    sendButton.addEventListener('click', sendMessage);
+    
+    // Attachment events
+    attachButton.addEventListener('click', function() {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', function() {
+        Array.from(fileInput.files).forEach(uploadAttachment);
+        fileInput.value = '';
+    });
+    
+    // Load older messages when scrolled to the top
+    chatMessages.addEventListener('scroll', function() {
+        if (chatMessages.scrollTop < 40) {
+            loadOlderMessages();
+        }
+    });
+    
+    // Room sidebar events
+    roomCreateForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        createRoom();
+    });
+    dmStartForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        const username = dmUsernameInput.value.trim();
+        if (username) {
+            openDirect(username);
+            dmUsernameInput.value = '';
+        }
+    });
+    aiNewButton.addEventListener('click', startNewAiConversation);
+    
+    // The checkbox follows the server; roomSettings updates it once the change is saved
+    roomAiToggle.addEventListener('change', function() {
+        const enabled = roomAiToggle.checked;
+        roomAiToggle.checked = getRoom(currentRoom).aiEnabled;
+        socket.emit('updateRoomSettings', { room: currentRoom, aiEnabled: enabled });
+    });
+    
+    roomSummaryButton.addEventListener('click', catchUp);
+    
+    // Search panel events
+    searchButton.addEventListener('click', function() {
+        if (searchPanel.style.display === 'none') {
+            openSearchPanel();
+        } else {
+            closeSearchPanel();
+        }
+    });
+    searchCloseButton.addEventListener('click', closeSearchPanel);
+    membersButton.addEventListener('click', function() {
+        membersPanelOpen = !membersPanelOpen;
+        renderMemberList();
+    });
+    threadCloseButton.addEventListener('click', closeThreadPanel);
+    threadMoreButton.addEventListener('click', function() {
+        if (openThread && openThread.nextAfter) {
+            threadMoreButton.disabled = true;
+            socket.emit('getThread', { id: openThread.id, after: openThread.nextAfter });
+        }
+    });
+    threadForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        sendThreadReply();
+    });
+    memberList.addEventListener('click', function(e) {
+        const item = e.target.closest('.member-item');
+        if (item && item.dataset.username !== currentUsername) {
+            openDirect(item.dataset.username);
+        }
+    });
+    searchForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        runSearch(false);
+    });
+    searchMoreButton.addEventListener('click', function() {
+        runSearch(true);
+    });
+    searchResults.addEventListener('click', function(e) {
+        const item = e.target.closest('li');
+        if (item) jumpToMessage(item.dataset.room, Number(item.dataset.id));
+    });
+    jumpLatestButton.addEventListener('click', requestLatestHistory);
+    
+    // AI mode opens the latest AI conversation; turning it off returns to the room
+    aiToggle.addEventListener('change', function() {
+        if (!currentUsername) {
+            aiToggle.checked = false;
+        } else if (!aiToggle.checked) {
+            switchRoom(currentRoom);
+        } else if (aiConversations.length > 0) {
+            openAiConversation(aiConversations[0].id);
+        } else {
+            startNewAiConversation();
+        }
+    });
+    
+    // Auto-focus username input
+    usernameInput.focus();
+}
+
+function resumeSession() {
+    resumePending = true;
+    const joined = [...rooms.values()].filter(entry => entry.joined).map(entry => entry.name);
+    socket.emit('resumeSession', { lastSeenId: lastSeenMessageId || null, rooms: joined });
+}
+
+function initializeSocket(token) {
+    // Connect to the server; the session token is checked during the handshake
+    socket = io({ auth: { token } });
+    
+    // Connection events
+    socket.on('connect', function() {
+        console.log('Connected to server');
+        const firstConnect = !isConnected && messageInput.disabled;
+        isConnected = true;
+        
+        // A new connection starts out online; say so first if this tab is hidden or idle
+        reportedAway = false;
+        if (isAway()) {
+            reportPresence();
+        }
+        
+        if (firstConnect) {
+            hideUsernameModal();
+            enableChat();
+            
+            // Notify server that user joined; history loads once the default room is joined
+            socket.emit('userJoined');
+            
+            // Load the room and direct-message sidebar
+            socket.emit('getRooms');
+            socket.emit('getDirectConversations');
+            socket.emit('getProfile');
+            socket.emit('getLimits');
+        } else {
+            // The server forgot this socket: rejoin the rooms and fetch what was missed
+            updateConnectionStatus('resyncing');
+            resumeSession();
+            socket.emit('getRooms');
+            socket.emit('getDirectConversations');
+            if (currentDm) {
+                socket.emit('getDirectHistory', { with: currentDm });
+            }
+        }
+    });
+    
+    socket.on('disconnect', function(reason) {
+        console.log('Disconnected from server');
+        isConnected = false;
+        outboxInFlight.clear();
+        // Socket.io does not reconnect by itself after the server hung up
+        if (reason === 'io server disconnect') {
+            updateConnectionStatus('removed', removalNotice || 'Disconnected by the server. Reload the page to rejoin.');
+        } else {
+            updateConnectionStatus('reconnecting');
+        }
+        
+        // Nobody hears our stopTyping now, and theirs will not reach us
+        clearTimeout(typingTimer);
+        isTyping = false;
+        Object.keys(typingIndicators).forEach(hideTypingIndicator);
+        
+        // The server stops the stream when the socket drops
+        if (aiStream) {
+            finishAiStream(aiStream.text || 'AI error: Connection lost', ' · interrupted');
+        }
+    });
+    
+    socket.on('connect_error', function(error) {
+        console.error('Connection error:', error);
+        
+        if (error && error.message === 'Authentication required') {
+            // Expired or invalid token: drop it and ask for credentials again
+            socket.disconnect();
+            clearSession();
+            showUsernameModal();
+            showNotification('Your session has expired. Please log in again.', 'error');
+            return;
+        }
+        
+        if (error && error.message === 'You are banned') {
+            // Retrying would only be refused again
+            const ban = error.data || {};
+            const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toLocaleString()}` : '';
+            socket.disconnect();
+            updateConnectionStatus('removed', `You are banned${until}${ban.reason ? `: ${ban.reason}` : ''}`);
+            return;
+        }
+        
+        // Failed reconnection attempts show in the connection status instead
+        if (messageInput.disabled) {
+            showNotification('Connection failed. Please refresh the page.', 'error');
+        }
+    });
+    
+    socket.io.on('reconnect_attempt', function(attempt) {
+        updateConnectionStatus('reconnecting', attempt);
+    });
+    
+    socket.on('sessionResumed', function(data) {
+        resumePending = false;
+        let missed = 0;
+        data.rooms.forEach(function(resumed) {
+            getRoom(resumed.room).joined = true;
+            setRoomReceipts(resumed.room, resumed.receipts);
+            setRoomMembers(resumed.room, resumed.members);
+            
+            resumed.messages.forEach(function(message) {
+                if (message.username !== currentUsername) missed++;
+                lastSeenMessageId = Math.max(lastSeenMessageId, message.id);
+                showRoomMessage(message);
+            });
+            
+            if (isViewingRoom(resumed.room)) {
+                if (resumed.reset) {
+                    requestLatestHistory();
+                } else {
+                    chatMessages.querySelectorAll('.message-status').forEach(function(status) {
+                        updateMessageStatus(status.closest('.message'));
+                    });
+                }
+                resumed.typing.forEach(showTypingIndicator);
+            }
+            flushOutbox(resumed.room);
+        });
+        renderRoomList();
+        updateConnectionStatus('resynced', missed);
+    });
+    
+    socket.on('error', function(data) {
+        // Typing indicators are best effort; dropping a few is not worth a warning
+        if (data && data.code === 'rate_limited' && data.event === 'typing') return;
+        // A resume refused for loading too fast goes again once the server will take it
+        if (data && data.code === 'rate_limited' && data.event === 'history' && resumePending) {
+            setTimeout(function() {
+                if (resumePending && isConnected) resumeSession();
+            }, data.retryAfter * 1000);
+            return;
+        }
+        showNotification((data && data.message) || 'Something went wrong', 'error');
+    });
+    
+    // Message events
+    socket.on('message', function(data) {
+        const room = (data && data.room) || DEFAULT_ROOM;
+        
+        // Tell the sender it arrived, whether or not the room is open
+        if (data.id != null && data.username !== currentUsername) {
+            socket.emit('messageDelivered', { room, id: data.id });
+        }
+        if (data.id != null) {
+            lastSeenMessageId = Math.max(lastSeenMessageId, data.id);
+        }
+        
+        showRoomMessage(data);
+    });
+    
+    socket.on('messageEdited', function(data) {
+        if (!isViewingRoom(data.room)) return;
+        findMessageElements(data.id).forEach(function(messageDiv) {
+            applyMessageState(messageDiv, data);
+        });
+        updateReplyQuotes(data.id, data.text);
+    });
+    
+    socket.on('messageDeleted', function(data) {
+        if (!isViewingRoom(data.room)) return;
+        findMessageElements(data.id).forEach(function(messageDiv) {
+            applyMessageState(messageDiv, { deleted: true });
+        });
+        updateReplyQuotes(data.id, null);
+    });
+    
+    socket.on('reactionsUpdated', function(data) {
+        if (!isViewingRoom(data.room)) return;
+        findMessageElements(data.id).forEach(function(messageDiv) {
+            renderReactions(messageDiv, data.id, data.reactions);
+        });
+    });
+    
+    // Thread events
+    socket.on('threadHistory', function(data) {
+        if (!openThread || !isViewingRoom(data.room)) return;
+        
+        if (!data.after) {
+            // A reply opens its parent's thread, so the id can change here
+            openThread.id = data.id;
+            threadMessages.innerHTML = '';
+            threadMessages.appendChild(createThreadMessage(data.parent));
+        } else if (data.id !== openThread.id) {
+            return;
+        }
+        
+        data.replies.forEach(appendThreadReply);
+        updateThreadTitle(data.parent.replyCount);
+        openThread.nextAfter = data.nextAfter;
+        threadMoreButton.style.display = data.hasMore ? '' : 'none';
+        threadMoreButton.disabled = false;
+    });
+    
+    socket.on('replyCount', function(data) {
+        if (!isViewingRoom(data.room)) return;
+        const parentDiv = findMessageElement(data.id);
+        if (parentDiv) {
+            renderReplyCount(parentDiv, data.id, data.replyCount);
+        }
+        if (openThread && openThread.id === data.id) {
+            updateThreadTitle(data.replyCount);
+        }
+    });
+    
+    socket.on('messageHistory', function(data) {
+        // Ignore history for a room we already switched away from
+        if (!isViewingRoom(data.room)) return;
+        const messages = data.messages || [];
+        
+        isLoadingHistory = false;
+        historyCursor = data.nextBefore;
+        setRoomReceipts(data.room, data.receipts || []);
+        
+        if (data.before) {
+            prependMessages(messages);
+            return;
+        }
+        
+        // Clear existing messages
+        readObserver.disconnect();
+        chatMessages.innerHTML = '';
+        
+        // Display message history
+        messages.forEach(function(message) {
+            const isOwnMessage = message.username === currentUsername;
+            displayMessage(message, isOwnMessage);
+        });
+        if (!data.around && messages.length > 0) {
+            lastSeenMessageId = Math.max(lastSeenMessageId, messages[messages.length - 1].id);
+        }
+        
+        // Jumped to a search result: show it instead of the newest messages
+        if (data.around) {
+            setHistoryDetached(data.hasNewer);
+            flashMessage(data.around);
+            return;
+        }
+        
+        // Start at the "New messages" divider if there is one, otherwise at the bottom
+        const ownReceipt = getRoomReceipts(data.room).get(currentUsername);
+        const dividerShown = insertUnreadDivider(ownReceipt ? ownReceipt.lastReadId : 0);
+        
+        // Messages still waiting to be sent go after the newest ones
+        renderOutbox(data.room);
+        if (!dividerShown) {
+            scrollToBottom();
+        }
+    });
+    
+    socket.on('receiptUpdate', function(data) {
+        getRoomReceipts(data.room).set(data.username, {
+            lastDeliveredId: data.lastDeliveredId,
+            lastReadId: data.lastReadId
+        });
+        
+        if (data.username === currentUsername) {
+            // Read in another tab
+            readAcks.set(data.room, Math.max(readAcks.get(data.room) || 0, data.lastReadId));
+        } else if (isViewingRoom(data.room)) {
+            chatMessages.querySelectorAll('.message-status').forEach(function(status) {
+                updateMessageStatus(status.closest('.message'));
+            });
+        }
+    });
+    
+    // Slash command output only the sender sees
+    socket.on('commandReply', function(data) {
+        if (data.clear) {
+            if (isViewingRoom(data.room)) {
+                chatMessages.innerHTML = '';
+                historyCursor = null;
+            }
+            return;
+        }
+        if (isViewingRoom(data.room)) {
+            displayNotice(data.text);
+        } else {
+            showNotification(data.text, 'info');
+        }
+    });
+    
+    socket.on('notice', function(data) {
+        if (isViewingRoom(data.room)) {
+            displayNotice(data.text);
+        }
+    });
+    
+    socket.on('commandList', function(list) {
+        commandList = list || [];
+    });
+    
+    socket.on('profile', function(data) {
+        const changed = data.role !== currentRole;
+        currentRole = data.role;
+        // Show or hide the Delete buttons on other people's messages
+        if (changed && isViewingRoom(currentRoom)) {
+            requestLatestHistory();
+        }
+    });
+    
+    socket.on('moderated', function(data) {
+        const by = data.by ? ` by ${data.by}` : '';
+        const reason = data.reason ? `: ${data.reason}` : '';
+        const until = data.expiresAt ? ` until ${new Date(data.expiresAt).toLocaleString()}` : '';
+        
+        if (data.action === 'mute') {
+            showNotification(`You were muted${by}${until}${reason}`, 'error');
+        } else if (data.action === 'unmute') {
+            showNotification(`You were unmuted${by}`, 'info');
+        } else if (data.action === 'kick') {
+            removalNotice = `You were kicked${by}${reason}. Reload the page to rejoin.`;
+        } else if (data.action === 'ban') {
+            removalNotice = `You are banned${until}${reason}`;
+        }
+    });
+    
+    socket.on('moderationResult', function(data) {
+        showNotification(`Done: ${data.action} ${data.username || data.ip}`, 'info');
+    });
+    
+    socket.on('limits', function(data) {
+        maxMessageLength = data.maxMessageLength;
+        messageInput.maxLength = maxMessageLength;
+        threadInput.maxLength = maxMessageLength;
+    });
+    
+    socket.on('userJoined', function(data) {
+        getRoom(data.room).members.add(data.username);
+        if (isViewingRoom(data.room)) {
+            showNotification(`${data.username} joined #${data.room}`, 'info');
+            renderMemberList();
+        }
+    });
+    
+    socket.on('userLeft', function(data) {
+        getRoom(data.room).members.delete(data.username);
+        if (isViewingRoom(data.room)) {
+            showNotification(`${data.username} left #${data.room}`, 'info');
+            renderMemberList();
+        }
+    });
+    
+    socket.on('presenceUpdate', function(data) {
+        presenceByUser.set(data.username, data);
+        renderMemberList();
+    });
+    
+    socket.on('userCount', function(data) {
+        getRoom(data.room).userCount = data.count;
+        renderRoomList();
+    });
+    
+    socket.on('typing', function(data) {
+        if (isViewingRoom(data.room)) {
+            showTypingIndicator(data.username);
+        }
+    });
+    
+    socket.on('stopTyping', function(data) {
+        if (isViewingRoom(data.room)) {
+            hideTypingIndicator(data.username);
+        }
+    });
+    
+    // Room events
+    socket.on('roomList', function(list) {
+        list.forEach(function(room) {
+            Object.assign(getRoom(room.name), { userCount: room.userCount, aiEnabled: room.aiEnabled });
+        });
+        renderRoomList();
+    });
+    
+    socket.on('roomCreated', function(room) {
+        Object.assign(getRoom(room.name), { userCount: room.userCount, aiEnabled: room.aiEnabled });
+        renderRoomList();
+    });
+    
+    socket.on('roomSettings', function(data) {
+        getRoom(data.room).aiEnabled = data.aiEnabled;
+        if (isViewingRoom(data.room)) {
+            showNotification(`${data.changedBy} turned @ai ${data.aiEnabled ? 'on' : 'off'} in #${data.room}`, 'info');
+        }
+        renderRoomList();
+    });
+    
+    socket.on('joinedRoom', function(data) {
+        getRoom(data.room).joined = true;
+        setRoomMembers(data.room, data.members || []);
+        renderRoomList();
+        
+        if (isViewingRoom(data.room)) {
+            requestLatestHistory();
+        } else if (data.room !== DEFAULT_ROOM) {
+            // Rooms we create or join from the sidebar become the active one
+            switchRoom(data.room);
+        }
+        flushOutbox(data.room);
+    });
+    
+    socket.on('leftRoom', function(data) {
+        const entry = getRoom(data.room);
+        entry.joined = false;
+        entry.unread = 0;
+        entry.members.clear();
+        
+        if (data.room === currentRoom) {
+            switchRoom(DEFAULT_ROOM);
+        } else {
+            renderRoomList();
+        }
+    });
+    
+    // Direct-message events
+    socket.on('directConversations', function(list) {
+        list.forEach(function(conversation) {
+            getDirect(conversation.username).unread = conversation.unread;
+        });
+        renderDirectList();
+    });
+    
+    socket.on('directHistory', function(data) {
+        // Ignore history for a thread we already switched away from
+        if (!currentDm || data.with.toLowerCase() !== currentDm.toLowerCase()) return;
+        
+        // Adopt the server's spelling of the username
+        if (data.with !== currentDm) {
+            directConversations.delete(currentDm);
+            currentDm = data.with;
+        }
+        getDirect(currentDm).unread = 0;
+        renderDirectList();
+        
+        chatMessages.innerHTML = '';
+        data.messages.forEach(function(message) {
+            displayMessage(toDisplayMessage(message), message.sender === currentUsername);
+        });
+        scrollToBottom();
+        
+        socket.emit('markDirectRead', { with: currentDm });
+    });
+    
+    socket.on('directMessage', function(data) {
+        const isOwnMessage = data.sender === currentUsername;
+        const partner = isOwnMessage ? data.recipient : data.sender;
+        const entry = getDirect(partner);
+        
+        if (currentDm === partner) {
+            displayMessage(toDisplayMessage(data), isOwnMessage);
+            if (!isOwnMessage) {
+                socket.emit('markDirectRead', { with: partner });
+            }
+        } else if (!isOwnMessage) {
+            entry.unread++;
+        }
+        renderDirectList();
+    });
+    
+    // Streamed AI replies
+    socket.on('aiChunk', function(data) {
+        if (!aiStream || data.requestId !== aiStream.requestId) return;
+        aiStream.text += data.delta;
+        aiStream.messageDiv.querySelector('.message-text').textContent = aiStream.text;
+        scrollToBottom();
+    });
+    
+    socket.on('aiDone', function(data) {
+        if (!aiStream || data.requestId !== aiStream.requestId) return;
+        
+        // A new chat becomes a saved conversation with its first reply
+        if (data.conversation) {
+            aiStream.conversation.id = data.conversation.id;
+            aiStream.conversation.title = data.conversation.title;
+            upsertAiConversation(data.conversation);
+        }
+        
+        if (data.cancelled) {
+            finishAiStream(data.text || 'AI reply stopped.', ' · stopped');
+        } else {
+            finishAiStream(data.text.trim() ? data.text : 'AI did not respond.');
+        }
+    });
+    
+    socket.on('aiError', function(data) {
+        if (!aiStream || (data.requestId && data.requestId !== aiStream.requestId)) return;
+        finishAiStream(`AI error: ${data.message}`);
+    });
+    
+    socket.on('directRead', function(data) {
+        getDirect(data.with).unread = 0;
+        renderDirectList();
+    });
+}
+
+function isViewingRoom(room) {
+    return !currentDm && !currentAiConversation && room === currentRoom;
+}
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, { name, userCount: 0, joined: false, unread: 0, aiEnabled: true, members: new Set() });
+    }
+    return rooms.get(name);
+}
+
+function renderRoomList() {
+    roomList.innerHTML = '';
+    
+    Array.from(rooms.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(function(room) {
+            const item = document.createElement('li');
+            item.className = 'room-item';
+            if (room.joined) item.classList.add('joined');
+            if (isViewingRoom(room.name)) item.classList.add('active');
+            
+            item.innerHTML = `
+                <span class="room-name"># ${escapeHtml(room.name)}</span>
+                ${room.unread ? `<span class="room-badge">${room.unread}</span>` : ''}
+                ${room.joined && room.name !== DEFAULT_ROOM ? '<button class="room-leave" title="Leave room">&times;</button>' : ''}
+            `;
+            
+            item.addEventListener('click', function() {
+                switchRoom(room.name);
+            });
+            
+            const leaveButton = item.querySelector('.room-leave');
+            if (leaveButton) {
+                leaveButton.addEventListener('click', function(e) {
+                    e.stopPropagation();
+                    socket.emit('leaveRoom', { room: room.name });
+                });
+            }
+            
+            roomList.appendChild(item);
+        });
+    
+    updateConversationHeader();
+}
+
+function updateConversationHeader() {
+    // The @ai setting and summaries belong to the open room
+    roomAiSetting.style.display = isViewingRoom(currentRoom) ? '' : 'none';
+    roomSummary.style.display = isViewingRoom(currentRoom) ? '' : 'none';
+    membersButton.style.display = isViewingRoom(currentRoom) ? '' : 'none';
+    renderMemberList();
+    if (openThread && !isViewingRoom(openThread.room)) {
+        closeThreadPanel();
+    }
+    jumpLatestButton.style.display = historyDetached && isViewingRoom(currentRoom) ? '' : 'none';
+    roomAiToggle.checked = getRoom(currentRoom).aiEnabled;
+    
+    if (currentAiConversation) {
+        currentRoomSpan.textContent = `🤖 ${currentAiConversation.title || 'New AI chat'}`;
+        roomUserCountSpan.textContent = 'AI conversation · only you can see it';
+        return;
+    }
+    
+    if (currentDm) {
+        currentRoomSpan.textContent = `@ ${currentDm}`;
+        roomUserCountSpan.textContent = 'Direct message';
+        return;
+    }
+    
+    const current = getRoom(currentRoom);
+    currentRoomSpan.textContent = `# ${currentRoom}`;
+    roomUserCountSpan.textContent = current.joined
+        ? `${current.userCount} online`
+        : '';
+}
+
+function switchRoom(name) {
+    if (!currentUsername || isViewingRoom(name)) return;
+    
+    stopTyping();
+    Object.keys(typingIndicators).forEach(hideTypingIndicator);
+    
+    currentDm = null;
+    closeAiConversation();
+    currentRoom = name;
+    const entry = getRoom(name);
+    entry.unread = 0;
+    chatMessages.innerHTML = '';
+    renderRoomList();
+    renderDirectList();
+    renderAiList();
+    
+    if (entry.joined) {
+        requestLatestHistory();
+    } else {
+        socket.emit('joinRoom', { room: name });
+    }
+}
+
+// Threads open in a side panel next to the room: the first message, then its replies
+function openThreadPanel(id) {
+    if (!isViewingRoom(currentRoom)) return;
+    
+    if (!openThread || openThread.id !== id) {
+        openThread = { id, room: currentRoom, nextAfter: null };
+        threadTitle.textContent = 'Thread';
+        threadMessages.innerHTML = '<div class="search-status">Loading…</div>';
+        threadMoreButton.style.display = 'none';
+        socket.emit('getThread', { id });
+    }
+    threadPanel.style.display = '';
+    threadInput.focus();
+}
+
+function closeThreadPanel() {
+    openThread = null;
+    threadPanel.style.display = 'none';
+    threadMessages.innerHTML = '';
+    threadInput.value = '';
+}
+
+function updateThreadTitle(count) {
+    threadTitle.textContent = count > 0 ? `Thread · ${count} ${count === 1 ? 'reply' : 'replies'}` : 'Thread';
+}
+
+// Replies in the panel skip the quote: they all answer the message at the top
+function createThreadMessage(message) {
+    const messageDiv = createMessageElement({ ...message, replyTo: null, reply_to: null, replyCount: 0 },
+        message.username === currentUsername);
+    messageDiv.querySelectorAll('.message-status').forEach(status => status.remove());
+    return messageDiv;
+}
+
+function appendThreadReply(message) {
+    if (threadMessages.querySelector(`[data-message-id="${message.id}"]`)) return;
+    threadMessages.appendChild(createThreadMessage(message));
+    threadMessages.scrollTop = threadMessages.scrollHeight;
+}
+
+function sendThreadReply() {
+    const text = threadInput.value.trim();
+    if (!openThread || !text) return;
+    if (text.length > maxMessageLength) {
+        showNotification(`Message must be ${maxMessageLength} characters or less`, 'error');
+        return;
+    }
+    
+    // Goes through the outbox like any room message, so it shows up in the room as well
+    queueMessage({
+        clientId: createClientId(),
+        room: openThread.room,
+        text,
+        timestamp: new Date().toISOString(),
+        attachments: [],
+        replyTo: openThread.id,
+        state: 'pending',
+        error: null
+    });
+    threadInput.value = '';
+}
+
+function setRoomMembers(room, members) {
+    const entry = getRoom(room);
+    entry.members = new Set(members.map(member => member.username));
+    members.forEach(member => presenceByUser.set(member.username, member));
+    if (isViewingRoom(room)) renderMemberList();
+}
+
+function getUserPresence(username) {
+    return presenceByUser.get(username) || { username, nickname: null, status: 'online', lastSeenAt: null };
+}
+
+function describePresence(member) {
+    const name = member.nickname ? `${member.nickname} (${member.username})` : member.username;
+    if (member.status === 'online') return `${name} · online`;
+    const since = member.lastSeenAt ? new Date(member.lastSeenAt).toLocaleString() : null;
+    if (member.status === 'away') return since ? `${name} · away since ${since}` : `${name} · away`;
+    return since ? `${name} · last seen ${since}` : `${name} · offline`;
+}
+
+// The open room's members, online before away; click one to message them
+function renderMemberList() {
+    const visible = membersPanelOpen && isViewingRoom(currentRoom);
+    membersPanel.style.display = visible ? '' : 'none';
+    if (!visible) return;
+    
+    const order = { online: 0, away: 1, offline: 2 };
+    const members = [...getRoom(currentRoom).members].map(getUserPresence).sort(function(a, b) {
+        return (order[a.status] - order[b.status]) || a.username.localeCompare(b.username);
+    });
+    
+    membersTitle.textContent = `In this room (${members.length})`;
+    memberList.innerHTML = '';
+    members.forEach(function(member) {
+        const item = document.createElement('li');
+        item.className = `member-item ${member.status}`;
+        item.dataset.username = member.username;
+        item.title = describePresence(member);
+        item.innerHTML = `
+            <span class="presence-dot"></span>
+            <span class="member-name">${escapeHtml(member.nickname || member.username)}</span>
+            ${member.username === currentUsername ? '<span class="member-you">you</span>' : ''}
+        `;
+        memberList.appendChild(item);
+    });
+}
+
+function isAway() {
+    return document.hidden || Date.now() - lastActivityAt > IDLE_AFTER_MS;
+}
+
+function reportPresence() {
+    if (!socket || !socket.connected) return;
+    reportedAway = isAway();
+    socket.emit('presence', { away: reportedAway });
+}
+
+function getDirect(username) {
+    if (!directConversations.has(username)) {
+        directConversations.set(username, { username, unread: 0 });
+    }
+    return directConversations.get(username);
+}
+
+function renderDirectList() {
+    dmList.innerHTML = '';
+    
+    Array.from(directConversations.values())
+        .sort((a, b) => a.username.localeCompare(b.username))
+        .forEach(function(conversation) {
+            const item = document.createElement('li');
+            item.className = 'room-item joined';
+            if (conversation.username === currentDm) item.classList.add('active');
+            
+            item.innerHTML = `
+                <span class="room-name">@ ${escapeHtml(conversation.username)}</span>
+                ${conversation.unread ? `<span class="room-badge">${conversation.unread}</span>` : ''}
+            `;
+            
+            item.addEventListener('click', function() {
+                openDirect(conversation.username);
+            });
+            
+            dmList.appendChild(item);
+        });
+    
+    updateConversationHeader();
+}
+
+function openDirect(username) {
+    if (!currentUsername || username === currentDm) return;
+    
+    if (username.toLowerCase() === currentUsername.toLowerCase()) {
+        showNotification('You cannot message yourself', 'error');
+        return;
+    }
+    
+    stopTyping();
+    Object.keys(typingIndicators).forEach(hideTypingIndicator);
+    
+    currentDm = username;
+    closeAiConversation();
+    getDirect(username);
+    chatMessages.innerHTML = '';
+    renderRoomList();
+    renderDirectList();
+    renderAiList();
+    
+    socket.emit('getDirectHistory', { with: username });
+}
+
+// Calls an authenticated JSON endpoint; rejects with the server's error message
+function apiRequest(url, options = {}) {
+    return fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionToken}`
+        }
+    })
+    .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    });
+}
+
+// Summarizes the open room since you were last here, or over the chosen number of hours
+function catchUp() {
+    const room = currentRoom;
+    const hours = roomSummaryRange.value === 'lastSeen' ? null : Number(roomSummaryRange.value);
+    const body = { room };
+    if (hours) {
+        body.from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    }
+    
+    roomSummaryButton.disabled = true;
+    apiRequest('/api/summarize', { method: 'POST', body: JSON.stringify(body) })
+        .then(function(result) {
+            if (isViewingRoom(room)) displayNotice(formatCatchUp(result));
+        })
+        .catch(function(error) {
+            showNotification(error.message, 'error');
+        })
+        .finally(function() {
+            roomSummaryButton.disabled = false;
+        });
+}
+
+function formatCatchUp(result) {
+    const period = result.since === 'lastSeen' ? 'since you were last here'
+        : result.since === 'recent' ? 'recently'
+        : `in the ${roomSummaryRange.selectedOptions[0].textContent.toLowerCase()}`;
+    if (result.messageCount === 0) {
+        return `Nothing new in #${result.room} ${period}`;
+    }
+    
+    const note = result.truncated ? ` (the latest ${result.messageCount})` : ` (${result.messageCount} messages)`;
+    return `📝 #${result.room} ${period}${note}:\n${result.summary}`;
+}
+
+function loadAiConversations() {
+    apiRequest('/api/ai/conversations')
+        .then(function(list) {
+            aiConversations = list;
+            renderAiList();
+        })
+        .catch(err => showNotification(err.message, 'error'));
+}
+
+// Moves a new or updated conversation to the top of the list
+function upsertAiConversation(conversation) {
+    aiConversations = aiConversations.filter(existing => existing.id !== conversation.id);
+    aiConversations.unshift(conversation);
+    renderAiList();
+}
+
+function renderAiList() {
+    aiList.innerHTML = '';
+    
+    aiConversations.forEach(function(conversation) {
+        const item = document.createElement('li');
+        item.className = 'room-item joined';
+        if (currentAiConversation && currentAiConversation.id === conversation.id) item.classList.add('active');
+        
+        item.innerHTML = `
+            <span class="room-name">🤖 ${escapeHtml(conversation.title)}</span>
+            <button class="room-rename" title="Rename conversation">✎</button>
+            <button class="room-leave" title="Delete conversation">&times;</button>
+        `;
+        
+        item.addEventListener('click', function() {
+            openAiConversation(conversation.id);
+        });
+        item.querySelector('.room-rename').addEventListener('click', function(e) {
+            e.stopPropagation();
+            renameAiConversation(conversation);
+        });
+        item.querySelector('.room-leave').addEventListener('click', function(e) {
+            e.stopPropagation();
+            deleteAiConversation(conversation);
+        });
+        
+        aiList.appendChild(item);
+    });
+    
+    updateConversationHeader();
+}
+
+// Leaves the open AI conversation; a reply still streaming into it is stopped and saved
+function closeAiConversation() {
+    if (aiStream) {
+        socket.emit('aiCancel', { requestId: aiStream.requestId });
+    }
+    currentAiConversation = null;
+    aiToggle.checked = false;
+}
+
+function showAiConversation(conversation) {
+    stopTyping();
+    Object.keys(typingIndicators).forEach(hideTypingIndicator);
+    
+    currentDm = null;
+    closeAiConversation();
+    currentAiConversation = conversation;
+    aiToggle.checked = true;
+    chatMessages.innerHTML = '';
+    renderRoomList();
+    renderDirectList();
+    renderAiList();
+}
+
+function startNewAiConversation() {
+    if (!currentUsername || (currentAiConversation && currentAiConversation.id === null)) return;
+    showAiConversation({ id: null, title: '' });
+    messageInput.focus();
+}
+
+function openAiConversation(id) {
+    if (!currentUsername || (currentAiConversation && currentAiConversation.id === id)) return;
+    
+    const listed = aiConversations.find(conversation => conversation.id === id);
+    const conversation = { id, title: listed ? listed.title : '' };
+    showAiConversation(conversation);
+    
+    apiRequest(`/api/ai/conversations/${id}`)
+        .then(function(data) {
+            // Ignore a conversation we already switched away from
+            if (currentAiConversation !== conversation) return;
+            
+            conversation.title = data.title;
+            updateConversationHeader();
+            data.messages.forEach(function(message) {
+                displayMessage(toAiDisplayMessage(message), message.role === 'user');
+            });
+            scrollToBottom();
+        })
+        .catch(err => showNotification(err.message, 'error'));
+}
+
+function renameAiConversation(conversation) {
+    const title = prompt('Rename conversation', conversation.title);
+    if (title === null || !title.trim() || title.trim() === conversation.title) return;
+    
+    apiRequest(`/api/ai/conversations/${conversation.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ title: title.trim() })
+    })
+    .then(function(updated) {
+        conversation.title = updated.title;
+        if (currentAiConversation && currentAiConversation.id === updated.id) {
+            currentAiConversation.title = updated.title;
+        }
+        renderAiList();
+    })
+    .catch(err => showNotification(err.message, 'error'));
+}
+
+function deleteAiConversation(conversation) {
+    if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+    
+    apiRequest(`/api/ai/conversations/${conversation.id}`, { method: 'DELETE' })
+        .then(function() {
+            aiConversations = aiConversations.filter(existing => existing.id !== conversation.id);
+            if (currentAiConversation && currentAiConversation.id === conversation.id) {
+                startNewAiConversation();
+            }
+            renderAiList();
+        })
+        .catch(err => showNotification(err.message, 'error'));
+}
+
+// Stored AI turns use role/content; the bubble renderer expects username/text
+function toAiDisplayMessage(message) {
+    return {
+        username: message.role === 'user' ? currentUsername : 'AI',
+        text: message.content,
+        timestamp: message.createdAt
+    };
+}
+
+// Direct messages use sender/recipient; the bubble renderer expects username
+function toDisplayMessage(message) {
+    return {
+        id: message.id,
+        username: message.sender,
+        text: message.text,
+        timestamp: message.timestamp
+    };
+}
+
+function requestLatestHistory() {
+    historyCursor = null;
+    isLoadingHistory = true;
+    
+    // A search result in this room: load the messages around it instead
+    const jump = pendingJump;
+    pendingJump = null;
+    if (jump && jump.room === currentRoom) {
+        socket.emit('getMessageHistory', { room: currentRoom, around: jump.id, limit: HISTORY_PAGE_SIZE });
+        return;
+    }
+    
+    setHistoryDetached(false);
+    socket.emit('getMessageHistory', { room: currentRoom, limit: HISTORY_PAGE_SIZE });
+}
+
+function setHistoryDetached(detached) {
+    historyDetached = detached;
+    jumpLatestButton.style.display = detached && isViewingRoom(currentRoom) ? '' : 'none';
+}
+
+function openSearchPanel() {
+    // Offer the rooms we know about, keeping the current choice
+    const selected = searchRoomSelect.value;
+    searchRoomSelect.innerHTML = '<option value="">All rooms</option>' + [...rooms.keys()].sort().map(function(name) {
+        return `<option value="${escapeHtml(name)}">#${escapeHtml(name)}</option>`;
+    }).join('');
+    searchRoomSelect.value = rooms.has(selected) ? selected : '';
+    
+    searchPanel.style.display = '';
+    searchInput.focus();
+}
+
+function closeSearchPanel() {
+    searchPanel.style.display = 'none';
+}
+
+// Dates from the filters cover whole local days
+function buildSearchParams() {
+    const query = searchInput.value.trim();
+    if (!query) return null;
+    
+    const params = new URLSearchParams({ q: query, limit: 20 });
+    if (searchRoomSelect.value) params.set('room', searchRoomSelect.value);
+    if (searchUserInput.value.trim()) params.set('user', searchUserInput.value.trim());
+    if (searchFromInput.value) params.set('from', new Date(`${searchFromInput.value}T00:00:00`).toISOString());
+    if (searchToInput.value) params.set('to', new Date(`${searchToInput.value}T23:59:59.999`).toISOString());
+    return params;
+}
+
+// Runs a new search, or fetches the next page of the current one
+function runSearch(more) {
+    const params = more ? new URLSearchParams(searchState.params) : buildSearchParams();
+    if (!params) return;
+    if (more) params.set('before', searchState.nextBefore);
+    
+    searchStatus.textContent = 'Searching...';
+    apiRequest(`/api/search?${params}`)
+        .then(function(data) {
+            if (!more) searchResults.innerHTML = '';
+            data.results.forEach(function(result) {
+                searchResults.appendChild(createSearchResult(result));
+            });
+            
+            searchState = { params: more ? searchState.params : params, nextBefore: data.nextBefore };
+            searchMoreButton.style.display = data.hasMore ? '' : 'none';
+            const count = searchResults.children.length;
+            searchStatus.textContent = count === 0
+                ? 'No messages found'
+                : `${count}${data.hasMore ? '+' : ''} result${count === 1 ? '' : 's'}`;
+        })
+        .catch(function(error) {
+            searchStatus.textContent = error.message;
+        });
+}
+
+function createSearchResult(result) {
+    const item = document.createElement('li');
+    item.dataset.room = result.room;
+    item.dataset.id = result.id;
+    
+    const time = new Date(result.timestamp).toLocaleString([], {
+        dateStyle: 'short',
+        timeStyle: 'short'
+    });
+    item.innerHTML = `
+        <div class="search-result-meta">#${escapeHtml(result.room)} · ${escapeHtml(result.username)} · ${time}</div>
+        <div class="search-result-snippet">${highlightSnippet(result.snippet, result.highlights)}</div>
+    `;
+    return item;
+}
+
+// Escapes the snippet and wraps the matched words in <mark>
+function highlightSnippet(snippet, highlights) {
+    let html = '';
+    let last = 0;
+    highlights.forEach(function([start, end]) {
+        html += `${escapeHtml(snippet.slice(last, start))}<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+        last = end;
+    });
+    return html + escapeHtml(snippet.slice(last));
+}
+
+// Shows a message in its room, loading the history around it when it is not on screen
+function jumpToMessage(room, id) {
+    if (isViewingRoom(room) && isMessageRendered(id)) {
+        flashMessage(id);
+        return;
+    }
+    
+    pendingJump = { room, id };
+    if (isViewingRoom(room)) {
+        requestLatestHistory();
+    } else {
+        switchRoom(room);
+    }
+}
+
+function flashMessage(id) {
+    const messageDiv = findMessageElement(id);
+    if (!messageDiv) return;
+    
+    messageDiv.scrollIntoView({ block: 'center' });
+    messageDiv.classList.add('highlighted');
+    setTimeout(function() {
+        messageDiv.classList.remove('highlighted');
+    }, 2000);
+}
+
+function loadOlderMessages() {
+    if (currentDm || currentAiConversation || !historyCursor || isLoadingHistory || !isConnected) return;
+    
+    isLoadingHistory = true;
+    socket.emit('getMessageHistory', {
+        room: currentRoom,
+        before: historyCursor,
+        limit: HISTORY_PAGE_SIZE
+    });
+}
+
+// Insert an older page above the current messages without moving the view
+function prependMessages(messages) {
+    const previousHeight = chatMessages.scrollHeight;
+    const previousTop = chatMessages.scrollTop;
+    const fragment = document.createDocumentFragment();
+    
+    messages.forEach(function(message) {
+        if (isMessageRendered(message.id)) return;
+        fragment.appendChild(createMessageElement(message, message.username === currentUsername));
+    });
+    
+    chatMessages.insertBefore(fragment, chatMessages.firstChild);
+    chatMessages.scrollTop = chatMessages.scrollHeight - previousHeight + previousTop;
+}
+
+function isMessageRendered(id) {
+    return id != null && findMessageElement(id) !== null;
+}
+
+function createRoom() {
+    const name = roomNameInput.value.trim().toLowerCase();
+    if (!name) return;
+    
+    if (!/^[a-z0-9][a-z0-9_-]{0,49}$/.test(name)) {
+        showNotification('Room names may only contain letters, numbers, "-" and "_"', 'error');
+        return;
+    }
+    
+    socket.emit('createRoom', { name });
+    roomNameInput.value = '';
+}
+
+function showUsernameModal() {
+    usernameModal.style.display = 'flex';
+    usernameInput.focus();
+}
+
+function hideUsernameModal() {
+    usernameModal.style.display = 'none';
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const isLogin = mode === 'login';
+    authTitle.textContent = isLogin ? 'Log In' : 'Create an Account';
+    joinButton.textContent = isLogin ? 'Log In' : 'Sign Up';
+    authSwitchText.textContent = isLogin ? "Don't have an account?" : 'Already have an account?';
+    authSwitchLink.textContent = isLogin ? 'Sign up' : 'Log in';
+    passwordInput.autocomplete = isLogin ? 'current-password' : 'new-password';
+    usernameInput.focus();
+}
+
+function joinChat() {
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+    
+    if (!username) {
+        showNotification('Please enter a username', 'error');
+        usernameInput.focus();
+        return;
+    }
+    
+    if (username.length > 50) {
+        showNotification('Username must be 50 characters or less', 'error');
+        usernameInput.focus();
+        return;
+    }
+    
+    if (!password) {
+        showNotification('Please enter a password', 'error');
+        passwordInput.focus();
+        return;
+    }
+    
+    joinButton.disabled = true;
+    fetch(authMode === 'login' ? '/api/login' : '/api/register', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    })
+    .then(async (res) => {
+        let data;
+        try { data = await res.json(); } catch (_) { data = {}; }
+        if (!res.ok) {
+            throw new Error((data && data.error) ? data.error : `Request failed (${res.status})`);
+        }
+        return data;
+    })
+    .then(session => {
+        passwordInput.value = '';
+        saveSession(session);
+        startSession(session);
+    })
+    .catch(err => {
+        showNotification(err.message, 'error');
+        passwordInput.focus();
+    })
+    .finally(() => {
+        joinButton.disabled = false;
+    });
+}
+
+function startSession(session) {
+    currentUsername = session.username;
+    currentUserSpan.textContent = currentUsername;
+    logoutButton.style.display = '';
+    sessionToken = session.token;
+    loadOutbox();
+    initializeSocket(session.token);
+    loadAiConversations();
+}
+
+function logout() {
+    if (socket) {
+        socket.emit('userLeft');
+        socket.disconnect();
+    }
+    clearSession();
+    window.location.reload();
+}
+
+function loadSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return session && session.username && session.token ? session : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function saveSession(session) {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+        username: session.username,
+        token: session.token
+    }));
+}
+
+function clearSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+function enableChat() {
+    messageInput.disabled = false;
+    sendButton.disabled = false;
+    attachButton.disabled = false;
+    roomNameInput.disabled = false;
+    roomCreateButton.disabled = false;
+    dmUsernameInput.disabled = false;
+    dmStartButton.disabled = false;
+    aiNewButton.disabled = false;
+    roomSummaryButton.disabled = false;
+    searchButton.disabled = false;
+    membersButton.disabled = false;
+    messageInput.focus();
+    updateConnectionStatus('connected');
+}
+
+// state is 'connected', 'reconnecting' (detail: attempt number), 'resyncing',
+// 'resynced' (detail: messages missed from others), which fades back to connected,
+// or 'removed' (detail: why the server disconnected us)
+function updateConnectionStatus(state, detail) {
+    clearTimeout(connectionStatusTimer);
+    connectionStatus.className = `connection-status ${state}`;
+    connectionStatus.style.display = state === 'connected' ? 'none' : '';
+    messageInput.placeholder = state === 'reconnecting' || state === 'removed'
+        ? 'Offline... room messages are sent when you are back'
+        : 'Type your message... (Shift+Enter for a new line)';
+    
+    if (state === 'removed') {
+        connectionStatus.textContent = detail;
+    } else if (state === 'reconnecting') {
+        connectionStatus.textContent = detail
+            ? `Connection lost. Reconnecting (attempt ${detail})…`
+            : 'Connection lost. Reconnecting…';
+    } else if (state === 'resyncing') {
+        connectionStatus.textContent = 'Reconnected. Catching up…';
+    } else if (state === 'resynced') {
+        connectionStatus.textContent = detail
+            ? `Back online · ${detail} new message${detail === 1 ? '' : 's'} while you were away`
+            : 'Back online';
+        connectionStatusTimer = setTimeout(function() {
+            updateConnectionStatus('connected');
+        }, 3000);
+    }
+}
+
+function sendMessage() {
+    const messageText = messageInput.value.trim();
+    
+    if (!messageText && pendingAttachments.length === 0) {
+        return;
+    }
+    
+    // Room messages wait in the outbox while offline; AI and direct messages cannot
+    if (!isConnected && (currentAiConversation || currentDm)) {
+        showNotification('You are offline', 'error');
+        return;
+    }
+    
+    if (pendingAttachments.length > 0 && (currentDm || currentAiConversation)) {
+        showNotification('Files can only be sent to rooms', 'error');
+        return;
+    }
+    
+    if (messageText.length > maxMessageLength) {
+        showNotification(`Message must be ${maxMessageLength} characters or less`, 'error');
+        return;
+    }
+    
+    // If AI mode: stream the reply into a new AI bubble of the open conversation
+    if (currentAiConversation) {
+        if (aiStream) {
+            showNotification('Wait for the AI reply to finish or stop it', 'error');
+            return;
+        }
+        
+        const userMsg = {
+            username: currentUsername,
+            text: messageText,
+            timestamp: new Date()
+        };
+        // Show my message immediately
+        displayMessage(userMsg, true);
+        clearMessageInput();
+        
+        startAiStream(messageText);
+        return;
+    }
+
+    // Direct message to the open thread
+    if (currentDm) {
+        socket.emit('directMessage', {
+            to: currentDm,
+            text: messageText
+        });
+        clearMessageInput();
+        return;
+    }
+
+    // Normal realtime mode; sending from older messages goes back to the latest ones
+    if (historyDetached) {
+        requestLatestHistory();
+    }
+    queueMessage({
+        clientId: createClientId(),
+        room: currentRoom,
+        text: messageText,
+        timestamp: new Date().toISOString(),
+        attachments: pendingAttachments.slice(),
+        state: 'pending',
+        error: null
+    });
+    clearMessageInput();
+    pendingAttachments.length = 0;
+    renderPendingAttachments();
+}
+
+function clearMessageInput() {
+    messageInput.value = '';
+    messageInput.rows = 1;
+}
+
+// The message box grows with the lines typed (Shift+Enter), up to MAX_INPUT_ROWS
+function resizeMessageInput() {
+    messageInput.rows = Math.min(messageInput.value.split('\n').length, MAX_INPUT_ROWS);
+}
+
+// Outbox: room messages are shown at once as pending and sent with a client id.
+// The server acknowledges with { ok, id } (or { ok: false, error }); without an
+// answer the message is resent after reconnecting, and the server recognises it.
+function createClientId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function loadOutbox() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_PREFIX + currentUsername));
+        outbox = Array.isArray(saved) ? saved : [];
+    } catch (_) {
+        outbox = [];
+    }
+}
+
+function saveOutbox() {
+    if (outbox.length > 0) {
+        localStorage.setItem(OUTBOX_STORAGE_PREFIX + currentUsername, JSON.stringify(outbox));
+    } else {
+        localStorage.removeItem(OUTBOX_STORAGE_PREFIX + currentUsername);
+    }
+}
+
+function removeOutboxEntry(clientId) {
+    const remaining = outbox.filter(entry => entry.clientId !== clientId);
+    if (remaining.length !== outbox.length) {
+        outbox = remaining;
+        saveOutbox();
+    }
+}
+
+function findOutboxElement(clientId) {
+    return chatMessages.querySelector(`[data-client-id="${clientId}"]`);
+}
+
+function queueMessage(entry) {
+    outbox.push(entry);
+    saveOutbox();
+    chatMessages.appendChild(createOutboxElement(entry));
+    scrollToBottom();
+    
+    if (isConnected && getRoom(entry.room).joined) {
+        deliverOutboxEntry(entry);
+    }
+}
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
-    // Show username modal on page load
-    showUsernameModal();
+// Sends the room's pending messages, oldest first; called whenever the room is (re)joined
+function flushOutbox(room) {
+    outbox
+        .filter(entry => entry.room === room && entry.state === 'pending')
+        .forEach(deliverOutboxEntry);
+}
+
+function deliverOutboxEntry(entry) {
+    if (outboxInFlight.has(entry.clientId)) return;
+    const attempt = {};
+    outboxInFlight.set(entry.clientId, attempt);
     
-    // Set up event listeners
-    setupEventListeners();
+    socket.timeout(SEND_TIMEOUT_MS).emit('message', {
+        clientId: entry.clientId,
+        text: entry.text,
+        room: entry.room,
+        attachments: entry.attachments.map(attachment => attachment.id),
+        replyTo: entry.replyTo || null
+    }, function(err, response) {
+        // Answers to a send from before a reconnect are stale: it was sent again since
+        if (outboxInFlight.get(entry.clientId) !== attempt) return;
+        outboxInFlight.delete(entry.clientId);
+        // Discarded, or already confirmed by the broadcast
+        if (!outbox.includes(entry)) return;
+        
+        if (err) {
+            failOutboxEntry(entry, 'No response from the server');
+            return;
+        }
+        // Sent too fast: it stays pending and goes again once the server will take it
+        if (!response.ok && response.code === 'rate_limited') {
+            setTimeout(function() {
+                if (outbox.includes(entry) && entry.state === 'pending' && isConnected && getRoom(entry.room).joined) {
+                    deliverOutboxEntry(entry);
+                }
+            }, response.retryAfter * 1000);
+            return;
+        }
+        if (!response.ok) {
+            failOutboxEntry(entry, response.error);
+            return;
+        }
+        
+        removeOutboxEntry(entry.clientId);
+        const pendingDiv = findOutboxElement(entry.clientId);
+        if (!pendingDiv || pendingDiv.dataset.messageId) return;
+        
+        // Commands are not stored; their replies arrive as notices
+        if (response.command || isMessageRendered(response.id)) {
+            pendingDiv.remove();
+            return;
+        }
+        // The server's filters may have changed the text (masked words, removed links)
+        pendingDiv.replaceWith(createMessageElement({
+            id: response.id,
+            username: currentUsername,
+            text: response.text || entry.text,
+            room: entry.room,
+            timestamp: entry.timestamp,
+            attachments: entry.attachments,
+            clientId: entry.clientId,
+            replyTo: entry.replyTo || null
+        }, true));
+    });
+}
+
+function failOutboxEntry(entry, error) {
+    entry.state = 'failed';
+    entry.error = error || 'Message not sent';
+    saveOutbox();
     
-    // Initialize socket connection
-    initializeSocket();
-});
+    const pendingDiv = findOutboxElement(entry.clientId);
+    if (pendingDiv && !pendingDiv.dataset.messageId) {
+        pendingDiv.replaceWith(createOutboxElement(entry));
+    }
+}
 
-function setupEventListeners() {
-    // Username modal events
-    joinButton.addEventListener('click', joinChat);
-    usernameInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
-            joinChat();
+function retryOutboxEntry(entry) {
+    entry.state = 'pending';
+    entry.error = null;
+    saveOutbox();
+    
+    const pendingDiv = findOutboxElement(entry.clientId);
+    if (pendingDiv) {
+        pendingDiv.replaceWith(createOutboxElement(entry));
+    }
+    if (isConnected && getRoom(entry.room).joined) {
+        deliverOutboxEntry(entry);
+    }
+}
+
+// A bubble for an unsent message: "Sending…" while pending, Retry and Discard once it failed
+function createOutboxElement(entry) {
+    const messageDiv = createMessageElement({
+        username: currentUsername,
+        text: entry.text,
+        room: entry.room,
+        timestamp: entry.timestamp,
+        attachments: entry.attachments,
+        clientId: entry.clientId,
+        replyTo: entry.replyTo || null
+    }, true);
+    messageDiv.classList.add(entry.state);
+    
+    const status = document.createElement('div');
+    status.className = 'message-outbox';
+    if (entry.state === 'failed') {
+        status.innerHTML = `
+            <span class="message-outbox-error">${escapeHtml(entry.error)}</span>
+            <button class="message-action" data-action="retry">Retry</button>
+            <button class="message-action" data-action="discard">Discard</button>
+        `;
+        status.addEventListener('click', function(e) {
+            const action = e.target.dataset.action;
+            if (action === 'retry') {
+                retryOutboxEntry(entry);
+            } else if (action === 'discard') {
+                removeOutboxEntry(entry.clientId);
+                messageDiv.remove();
+            }
+        });
+    } else {
+        status.textContent = '🕓 Sending…';
+    }
+    messageDiv.appendChild(status);
+    return messageDiv;
+}
+
+// Shows the room's unsent messages under its latest history. Ones the history already
+// contains were stored before the acknowledgement got lost.
+function renderOutbox(room) {
+    outbox.filter(entry => entry.room === room).forEach(function(entry) {
+        const existing = findOutboxElement(entry.clientId);
+        if (existing && existing.dataset.messageId) {
+            removeOutboxEntry(entry.clientId);
+        } else if (!existing) {
+            chatMessages.appendChild(createOutboxElement(entry));
         }
     });
+}
+
+function startAiStream(prompt) {
+    const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const messageDiv = createMessageElement({ username: 'AI', text: '', timestamp: new Date() }, false);
+    messageDiv.classList.add('streaming');
     
-    // Message input events
-    messageInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMessage();
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    actions.innerHTML = '<button class="message-action" data-action="stop">Stop</button>';
+    actions.addEventListener('click', function(e) {
+        if (e.target.dataset.action === 'stop') {
+            socket.emit('aiCancel', { requestId });
         }
     });
+    messageDiv.appendChild(actions);
     
-    sendButton.addEventListener('click', sendMessage);
+    chatMessages.appendChild(messageDiv);
+    scrollToBottom();
     
-    // Auto-focus username input
-    usernameInput.focus();
+    aiStream = { requestId, messageDiv, text: '', conversation: currentAiConversation };
+    socket.emit('aiPrompt', { requestId, prompt, conversationId: currentAiConversation.id });
 }
 
-function initializeSocket() {
-    // Connect to the server
-    socket = io();
-    
-    // Connection events
-    socket.on('connect', function() {
-        console.log('Connected to server');
-        isConnected = true;
-    });
+function finishAiStream(text, note = '') {
+    const { messageDiv } = aiStream;
+    aiStream = null;
     
-    socket.on('disconnect', function() {
-        console.log('Disconnected from server');
-        isConnected = false;
-        updateConnectionStatus(false);
-    });
+    messageDiv.classList.remove('streaming');
+    applyMessageState(messageDiv, { text });
+    messageDiv.querySelector('.message-edited').textContent = note;
+    const actions = messageDiv.querySelector('.message-actions');
+    if (actions) actions.remove();
+    scrollToBottom();
+}
+
+function uploadAttachment(file) {
+    const formData = new FormData();
+    formData.append('file', file);
     
-    socket.on('connect_error', function(error) {
-        console.error('Connection error:', error);
-        showNotification('Connection failed. Please refresh the page.', 'error');
+    fetch('/api/attachments', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${sessionToken}` },
+        body: formData
+    })
+    .then(async (res) => {
+        let data;
+        try { data = await res.json(); } catch (_) { data = {}; }
+        if (!res.ok) {
+            throw new Error((data && data.error) ? data.error : `Upload failed (${res.status})`);
+        }
+        return data;
+    })
+    .then(attachment => {
+        pendingAttachments.push(attachment);
+        renderPendingAttachments();
+        messageInput.focus();
+    })
+    .catch(err => {
+        showNotification(`${file.name}: ${err.message}`, 'error');
     });
+}
+
+function renderPendingAttachments() {
+    pendingAttachmentsDiv.innerHTML = '';
+    pendingAttachmentsDiv.style.display = pendingAttachments.length ? 'flex' : 'none';
     
-    // Message events
-    socket.on('message', function(data) {
-        const isOwnMessage = data && data.username === currentUsername;
-        displayMessage(data, isOwnMessage);
+    pendingAttachments.forEach(function(attachment, index) {
+        const chip = document.createElement('span');
+        chip.className = 'pending-attachment';
+        chip.innerHTML = `📎 ${escapeHtml(attachment.name)} <button title="Remove">&times;</button>`;
+        chip.querySelector('button').addEventListener('click', function() {
+            pendingAttachments.splice(index, 1);
+            renderPendingAttachments();
+        });
+        pendingAttachmentsDiv.appendChild(chip);
     });
+}
+
+// Attachment URLs carry the token because <img> and <a> cannot send headers
+function attachmentUrl(attachment) {
+    return `${attachment.url}?token=${encodeURIComponent(sessionToken)}`;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function createAttachmentList(attachments) {
+    const list = document.createElement('div');
+    list.className = 'message-attachments';
     
-    socket.on('messageHistory', function(messages) {
-        // Clear existing messages
-        chatMessages.innerHTML = '';
+    attachments.forEach(function(attachment) {
+        const link = document.createElement('a');
+        link.href = attachmentUrl(attachment);
+        link.target = '_blank';
+        link.rel = 'noopener';
         
-        // Display message history
-        messages.forEach(function(message) {
-            const isOwnMessage = message.username === currentUsername;
-            displayMessage(message, isOwnMessage);
-        });
+        if (attachment.isImage) {
+            link.className = 'attachment-image';
+            const img = document.createElement('img');
+            img.src = link.href;
+            img.alt = attachment.name;
+            img.loading = 'lazy';
+            link.appendChild(img);
+        } else {
+            link.className = 'attachment-file';
+            link.textContent = `📄 ${attachment.name} (${formatFileSize(attachment.size)})`;
+        }
         
-        // Scroll to bottom
-        scrollToBottom();
+        list.appendChild(link);
     });
     
-    socket.on('userJoined', function(username) {
-        showNotification(`${username} joined the chat`, 'info');
-    });
+    return list;
+}
+
+// Command output and announcements, shown in the chat pane but not stored
+function displayNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'system-notice';
+    notice.textContent = text;
+    chatMessages.appendChild(notice);
+    scrollToBottom();
+}
+
+function updateCommandSuggestions() {
+    const match = messageInput.value.match(/^\/([a-z]*)$/i);
+    const suggestions = match && !currentDm && !currentAiConversation
+        ? commandList.filter(command => command.name.startsWith(match[1].toLowerCase()))
+        : [];
     
-    socket.on('userLeft', function(username) {
-        showNotification(`${username} left the chat`, 'info');
-    });
+    if (suggestions.length === 0) {
+        hideCommandSuggestions();
+        return;
+    }
     
-    socket.on('typing', function(data) {
-        showTypingIndicator(data.username);
+    commandSuggestions.innerHTML = suggestions.map(command => `
+        <li data-name="${escapeHtml(command.name)}">
+            <span class="command-usage">${escapeHtml(command.usage)}</span>
+            <span class="command-description">${escapeHtml(command.description)}</span>
+        </li>
+    `).join('');
+    commandSuggestionIndex = Math.min(commandSuggestionIndex, suggestions.length - 1);
+    commandSuggestions.style.display = 'block';
+    renderCommandSuggestions();
+}
+
+function renderCommandSuggestions() {
+    Array.from(commandSuggestions.children).forEach(function(item, index) {
+        item.classList.toggle('active', index === commandSuggestionIndex);
+    });
+}
+
+function hideCommandSuggestions() {
+    commandSuggestions.style.display = 'none';
+    commandSuggestionIndex = 0;
+}
+
+function applyCommandSuggestion(name) {
+    messageInput.value = `/${name} `;
+    hideCommandSuggestions();
+    messageInput.focus();
+}
+
+function getRoomReceipts(room) {
+    if (!roomReceipts.has(room)) roomReceipts.set(room, new Map());
+    return roomReceipts.get(room);
+}
+
+function setRoomReceipts(room, receipts) {
+    const byUser = getRoomReceipts(room);
+    byUser.clear();
+    receipts.forEach(function(receipt) {
+        byUser.set(receipt.username, { lastDeliveredId: receipt.lastDeliveredId, lastReadId: receipt.lastReadId });
+    });
+}
+
+// One tick once sent, two once someone else's client has it, blue once someone has seen it
+function updateMessageStatus(messageDiv) {
+    const id = Number(messageDiv.dataset.messageId);
+    const readers = [];
+    let delivered = false;
+    getRoomReceipts(messageDiv.dataset.room).forEach(function(receipt, username) {
+        if (username === currentUsername) return;
+        if (receipt.lastReadId >= id) readers.push(username);
+        if (receipt.lastDeliveredId >= id) delivered = true;
     });
     
-    socket.on('stopTyping', function(data) {
-        hideTypingIndicator(data.username);
+    const status = messageDiv.querySelector('.message-status');
+    const state = readers.length > 0 ? 'read' : delivered ? 'delivered' : 'sent';
+    status.className = `message-status ${state}`;
+    status.textContent = state === 'sent' ? ' ✓' : ' ✓✓';
+    status.title = state === 'read' ? `Read by ${readers.join(', ')}` : state === 'delivered' ? 'Delivered' : 'Sent';
+}
+
+// Marks others' messages as read once at least half of the bubble has been on screen
+const readObserver = new IntersectionObserver(function(entries) {
+    entries.forEach(function(entry) {
+        if (!entry.isIntersecting || document.hidden) return;
+        readObserver.unobserve(entry.target);
+        queueReadAck(entry.target.dataset.room, Number(entry.target.dataset.messageId));
     });
+}, { root: chatMessages, threshold: 0.5 });
+
+// Acks are batched so scrolling through history sends one per room
+function queueReadAck(room, id) {
+    if (id <= (readAcks.get(room) || 0)) return;
+    readAcks.set(room, id);
+    pendingReadRooms.add(room);
+    
+    clearTimeout(readAckTimer);
+    readAckTimer = setTimeout(function() {
+        pendingReadRooms.forEach(function(pendingRoom) {
+            socket.emit('messageRead', { room: pendingRoom, id: readAcks.get(pendingRoom) });
+        });
+        pendingReadRooms.clear();
+    }, 500);
 }
 
-function showUsernameModal() {
-    usernameModal.style.display = 'flex';
-    usernameInput.focus();
+// Messages that came in while the tab was hidden count as read once it is shown again
+function recheckVisibleMessages() {
+    chatMessages.querySelectorAll('.message.received[data-room]').forEach(function(messageDiv) {
+        if (Number(messageDiv.dataset.messageId) > (readAcks.get(messageDiv.dataset.room) || 0)) {
+            readObserver.unobserve(messageDiv);
+            readObserver.observe(messageDiv);
+        }
+    });
 }
 
-function hideUsernameModal() {
-    usernameModal.style.display = 'none';
+// Puts a divider above the first message from someone else after lastReadId.
+// Returns whether it did (and scrolled to it).
+function insertUnreadDivider(lastReadId) {
+    if (!lastReadId) return false;
+    const firstUnread = Array.from(chatMessages.querySelectorAll('.message.received[data-room]')).find(function(messageDiv) {
+        return Number(messageDiv.dataset.messageId) > lastReadId;
+    });
+    if (!firstUnread) return false;
+    
+    const divider = document.createElement('div');
+    divider.className = 'unread-divider';
+    divider.textContent = 'New messages';
+    chatMessages.insertBefore(divider, firstUnread);
+    divider.scrollIntoView({ block: 'start' });
+    return true;
 }
 
-function joinChat() {
-    const username = usernameInput.value.trim();
+// Shows a room message that arrived live or was replayed after a reconnect
+function showRoomMessage(data) {
+    const room = data.room || DEFAULT_ROOM;
     
-    if (!username) {
-        showNotification('Please enter a username', 'error');
-        usernameInput.focus();
-        return;
+    if (openThread && (data.replyTo || data.reply_to) === openThread.id) {
+        appendThreadReply(data);
     }
     
-    if (username.length > 50) {
-        showNotification('Username must be 50 characters or less', 'error');
-        usernameInput.focus();
+    // One of ours from the outbox: it is stored even if the acknowledgement gets lost
+    const clientId = data.clientId || data.client_id;
+    if (clientId && data.username === currentUsername) {
+        removeOutboxEntry(clientId);
+        const pendingDiv = findOutboxElement(clientId);
+        if (pendingDiv && !pendingDiv.dataset.messageId) {
+            pendingDiv.replaceWith(createMessageElement(data, true));
+            return;
+        }
+    }
+    
+    if (!isViewingRoom(room)) {
+        const entry = getRoom(room);
+        entry.unread++;
+        renderRoomList();
         return;
     }
     
-    currentUsername = username;
-    currentUserSpan.textContent = currentUsername;
+    // Older messages are on screen; "Jump to latest" brings this one in
+    if (historyDetached) return;
+    
+    const isOwnMessage = data && data.username === currentUsername;
+    displayMessage(data, isOwnMessage);
+}
+
+function displayMessage(message, isOwnMessage) {
+    // Skip messages that are already on screen (e.g. overlapping history pages)
+    if (isMessageRendered(message.id)) return;
+    
+    chatMessages.appendChild(createMessageElement(message, isOwnMessage));
+    scrollToBottom();
+}
+
+function createMessageElement(message, isOwnMessage) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isOwnMessage ? 'sent' : 'received'}`;
+    if (message.id != null) {
+        messageDiv.dataset.messageId = message.id;
+    }
+    const clientId = message.clientId || message.client_id;
+    if (clientId) {
+        messageDiv.dataset.clientId = clientId;
+    }
+    
+    const time = new Date(message.timestamp).toLocaleTimeString([], { 
+        hour: '2-digit', 
+        minute: '2-digit' 
+    });
+    
+    messageDiv.innerHTML = `
+        <div class="message-username">${escapeHtml(message.username)}</div>
+        <div class="message-text">${escapeHtml(message.text)}</div>
+        <div class="message-time">${time}<span class="message-edited"></span></div>
+    `;
+    
+    if (message.attachments && message.attachments.length > 0) {
+        messageDiv.insertBefore(createAttachmentList(message.attachments), messageDiv.querySelector('.message-time'));
+    }
+    
+    // Replies (including answers to @ai mentions) quote the message that starts their thread
+    const replyTo = message.replyTo || message.reply_to;
+    if (replyTo) {
+        messageDiv.insertBefore(createReplyQuote(replyTo, message.quote), messageDiv.querySelector('.message-text'));
+    }
+    if (message.room && message.username === 'AI') {
+        messageDiv.classList.add('bot');
+    }
+    
+    // Room messages: ticks on your own, read tracking on everyone else's
+    if (message.room && message.id != null) {
+        messageDiv.dataset.room = message.room;
+        if (isOwnMessage) {
+            const status = document.createElement('span');
+            status.className = 'message-status';
+            messageDiv.querySelector('.message-time').appendChild(status);
+            updateMessageStatus(messageDiv);
+        } else {
+            readObserver.observe(messageDiv);
+        }
+    }
     
-    // Hide modal and enable chat
-    hideUsernameModal();
-    enableChat();
+    // Any room message can be replied to in a thread; only your own can be edited, and
+    // deleted unless you are a moderator
+    if (message.room && message.id != null) {
+        const canDelete = isOwnMessage || currentRole === 'moderator' || currentRole === 'admin';
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        actions.innerHTML = `
+            <button class="message-action" data-action="reply">Reply</button>
+            ${isOwnMessage ? '<button class="message-action" data-action="edit">Edit</button>' : ''}
+            ${canDelete ? '<button class="message-action" data-action="delete">Delete</button>' : ''}
+        `;
+        actions.addEventListener('click', function(e) {
+            const action = e.target.dataset.action;
+            if (action === 'reply') {
+                openThreadPanel(replyTo || message.id);
+            } else if (action === 'edit') {
+                startEditingMessage(messageDiv, message.id);
+            } else if (action === 'delete' && confirm('Delete this message?')) {
+                socket.emit('deleteMessage', { id: message.id });
+            }
+        });
+        messageDiv.appendChild(actions);
+    }
     
-    // Notify server that user joined
-    socket.emit('userJoined', { username: currentUsername });
+    // Room messages get a reaction bar
+    if (message.room && message.id != null) {
+        const reactionBar = document.createElement('div');
+        reactionBar.className = 'message-reactions';
+        messageDiv.appendChild(reactionBar);
+        renderReactions(messageDiv, message.id, message.reactions || []);
+        renderReplyCount(messageDiv, message.id, message.replyCount || 0);
+    }
     
-    // Load message history
-    socket.emit('getMessageHistory');
+    applyMessageState(messageDiv, message);
+    return messageDiv;
 }
 
-function enableChat() {
-    messageInput.disabled = false;
-    sendButton.disabled = false;
-    messageInput.focus();
-    updateConnectionStatus(true);
+// "💬 3 replies" under a message that has a thread; opens it in the side panel
+function renderReplyCount(messageDiv, id, count) {
+    let link = messageDiv.querySelector('.message-thread');
+    if (count === 0) {
+        if (link) link.remove();
+        return;
+    }
+    if (!link) {
+        link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'message-thread';
+        link.addEventListener('click', function() {
+            openThreadPanel(id);
+        });
+        messageDiv.appendChild(link);
+    }
+    link.textContent = `💬 ${count} ${count === 1 ? 'reply' : 'replies'}`;
 }
 
-function updateConnectionStatus(connected) {
-    if (connected) {
-        messageInput.placeholder = 'Type your message...';
-        sendButton.textContent = 'Send';
+// `quote` is { username, text, deleted } of the parent when the server sent it
+function createReplyQuote(id, quote) {
+    const quoteDiv = document.createElement('div');
+    quoteDiv.className = 'message-reply';
+    quoteDiv.dataset.replyTo = id;
+    
+    const original = findMessageElement(id);
+    if (quote) {
+        quoteDiv.dataset.author = quote.username;
+        quoteDiv.textContent = quote.deleted
+            ? '↪ Reply to a deleted message'
+            : Number(quote.action) ? `↪ * ${quote.username} ${quote.text}` : `↪ ${quote.username}: ${quote.text}`;
+    } else if (original) {
+        const author = original.querySelector('.message-username').textContent;
+        const text = original.dataset.text || original.querySelector('.message-text').textContent;
+        quoteDiv.dataset.author = author;
+        quoteDiv.textContent = original.classList.contains('action') ? `↪ * ${author} ${text}` : `↪ ${author}: ${text}`;
     } else {
-        messageInput.placeholder = 'Disconnected...';
-        sendButton.textContent = 'Disconnected';
+        quoteDiv.textContent = '↪ Reply to an earlier message';
     }
+    
+    quoteDiv.addEventListener('click', function() {
+        openThreadPanel(id);
+    });
+    return quoteDiv;
 }
 
-function sendMessage() {
-    const messageText = messageInput.value.trim();
+// Keeps quotes in step when the quoted message is edited (text) or deleted (null)
+function updateReplyQuotes(id, text) {
+    document.querySelectorAll(`.message-reply[data-reply-to="${id}"]`).forEach(function(quoteDiv) {
+        quoteDiv.textContent = text === null
+            ? '↪ Reply to a deleted message'
+            : `↪ ${quoteDiv.dataset.author || 'Someone'}: ${text}`;
+    });
+}
+
+function renderReactions(messageDiv, id, reactions) {
+    const reactionBar = messageDiv.querySelector('.message-reactions');
+    if (!reactionBar || messageDiv.classList.contains('deleted')) return;
     
-    if (!messageText || !isConnected) {
-        return;
-    }
+    reactionBar.innerHTML = '';
+    reactions.forEach(function(reaction) {
+        const mine = reaction.users.includes(currentUsername);
+        const chip = document.createElement('button');
+        chip.className = `reaction-chip${mine ? ' mine' : ''}`;
+        chip.title = reaction.users.join(', ');
+        chip.textContent = `${reaction.emoji} ${reaction.count}`;
+        chip.addEventListener('click', function() {
+            socket.emit(mine ? 'removeReaction' : 'addReaction', { id, emoji: reaction.emoji });
+        });
+        reactionBar.appendChild(chip);
+    });
     
-    if (messageText.length > 255) {
-        showNotification('Message must be 255 characters or less', 'error');
+    const addButton = document.createElement('button');
+    addButton.className = 'reaction-add';
+    addButton.title = 'Add reaction';
+    addButton.textContent = '☺+';
+    addButton.addEventListener('click', function(e) {
+        e.stopPropagation();
+        toggleReactionPicker(reactionBar, id);
+    });
+    reactionBar.appendChild(addButton);
+}
+
+function toggleReactionPicker(reactionBar, id) {
+    const existing = reactionBar.querySelector('.reaction-picker');
+    if (existing) {
+        existing.remove();
         return;
     }
     
-    // If AI mode: call AI endpoint and render reply
-    if (aiToggle && aiToggle.checked) {
-        const userMsg = {
-            username: currentUsername,
-            text: messageText,
-            timestamp: new Date()
-        };
-        // Show my message immediately
-        displayMessage(userMsg, true);
-        messageInput.value = '';
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    REACTION_CHOICES.forEach(function(emoji) {
+        const option = document.createElement('button');
+        option.textContent = emoji;
+        option.addEventListener('click', function() {
+            socket.emit('addReaction', { id, emoji });
+            picker.remove();
+        });
+        picker.appendChild(option);
+    });
+    reactionBar.appendChild(picker);
+}
 
-        // Call AI
-        fetch('/api/ai-chat', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: messageText })
-        })
-        .then(async (res) => {
-            let data;
-            try { data = await res.json(); } catch (_) { data = {}; }
-            if (!res.ok) {
-                const errText = (data && data.error) ? data.error : `AI error (${res.status})`;
-                throw new Error(errText);
-            }
-            return data;
-        })
-        .then(data => {
-            const aiText = (data && typeof data.reply === 'string' && data.reply.trim().length)
-                ? data.reply
-                : 'AI did not respond.';
-            const aiMsg = { username: 'AI', text: aiText, timestamp: new Date() };
-            displayMessage(aiMsg, false);
-        })
-        .catch((err) => {
-            const aiMsg = { username: 'AI', text: `AI error: ${err.message}`, timestamp: new Date() };
-            displayMessage(aiMsg, false);
+// Reflect edits and deletes on an existing bubble
+function applyMessageState(messageDiv, state) {
+    const textDiv = messageDiv.querySelector('.message-text');
+    
+    if (state.deleted) {
+        messageDiv.classList.add('deleted');
+        textDiv.textContent = 'This message was deleted';
+        messageDiv.querySelector('.message-edited').textContent = '';
+        messageDiv.querySelectorAll('.message-actions, .message-reactions, .message-attachments').forEach(function(el) {
+            el.remove();
         });
         return;
     }
-
-    // Normal realtime mode
-    const message = {
-        username: currentUsername,
-        text: messageText,
-        timestamp: new Date()
-    };
-    socket.emit('message', message);
-    messageInput.value = '';
+    
+    if (typeof state.text === 'string') {
+        // "/me waves" is stored as "waves" with `action` set and reads as "* alice waves";
+        // edits do not carry the flag, so the bubble keeps what it was
+        const isAction = state.action === undefined ? messageDiv.classList.contains('action') : Boolean(Number(state.action));
+        const author = messageDiv.querySelector('.message-username').textContent;
+        messageDiv.dataset.text = state.text;
+        messageDiv.classList.toggle('action', isAction);
+        if (isAction) {
+            textDiv.textContent = `* ${author} ${state.text.slice(4)}`;
+        } else {
+            textDiv.replaceChildren(renderMarkdown(state.text));
+        }
+    }
+    if (state.edited_at || state.editedAt) {
+        messageDiv.querySelector('.message-edited').textContent = ' · edited';
+    }
 }
 
-function displayMessage(message, isOwnMessage) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${isOwnMessage ? 'sent' : 'received'}`;
+function startEditingMessage(messageDiv, id) {
+    const textDiv = messageDiv.querySelector('.message-text');
+    if (textDiv.querySelector('textarea')) return;
     
-    const time = new Date(message.timestamp).toLocaleTimeString([], { 
-        hour: '2-digit', 
-        minute: '2-digit' 
-    });
+    // A textarea keeps the line breaks Markdown lists and code blocks need
+    const originalText = messageDiv.dataset.text || textDiv.textContent;
+    const input = document.createElement('textarea');
+    input.className = 'message-edit-input';
+    input.maxLength = maxMessageLength;
+    input.rows = Math.min(originalText.split('\n').length, MAX_INPUT_ROWS);
+    input.value = originalText;
     
-    messageDiv.innerHTML = `
-        <div class="message-username">${escapeHtml(message.username)}</div>
-        <div class="message-text">${escapeHtml(message.text)}</div>
-        <div class="message-time">${time}</div>
-    `;
+    textDiv.textContent = '';
+    textDiv.appendChild(input);
+    input.focus();
     
-    chatMessages.appendChild(messageDiv);
-    scrollToBottom();
+    function finish(save) {
+        const text = input.value.trim();
+        applyMessageState(messageDiv, { text: originalText });
+        if (save && text && text !== originalText) {
+            socket.emit('editMessage', { id, text });
+        }
+    }
+    
+    // Only Escape cancels, so clicking elsewhere does not throw the draft away
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+}
+
+function findMessageElement(id) {
+    return chatMessages.querySelector(`[data-message-id="${id}"]`);
+}
+
+// A message can be on screen twice: in the room and in the open thread
+function findMessageElements(id) {
+    return [findMessageElement(id), threadMessages.querySelector(`[data-message-id="${id}"]`)].filter(Boolean);
 }
 
 function scrollToBottom() {
@@ -257,7 +2455,8 @@ let typingTimer;
 let isTyping = false;
 
 messageInput.addEventListener('input', function() {
-    if (!isConnected) return;
+    // Typing indicators are only shown in rooms
+    if (!isConnected || currentDm || currentAiConversation) return;
     
     // Clear existing timer
     clearTimeout(typingTimer);
@@ -265,16 +2464,21 @@ messageInput.addEventListener('input', function() {
     // Start typing indicator if not already typing
     if (!isTyping) {
         isTyping = true;
-        socket.emit('typing', { username: currentUsername });
+        socket.emit('typing', { room: currentRoom });
     }
     
     // Set timer to stop typing indicator
-    typingTimer = setTimeout(function() {
-        isTyping = false;
-        socket.emit('stopTyping', { username: currentUsername });
-    }, 1000);
+    typingTimer = setTimeout(stopTyping, 1000);
 });
 
+function stopTyping() {
+    clearTimeout(typingTimer);
+    if (isTyping) {
+        isTyping = false;
+        socket.emit('stopTyping', { room: currentRoom });
+    }
+}
+
 // Typing indicators
 const typingIndicators = {};
 
@@ -367,23 +2571,35 @@ function showNotification(message, type = 'info') {
 document.addEventListener('visibilitychange', function() {
     if (document.hidden) {
         // Page is hidden, stop typing indicator
-        if (isTyping) {
-            isTyping = false;
-            socket.emit('stopTyping', { username: currentUsername });
-        }
+        stopTyping();
+    } else {
+        lastActivityAt = Date.now();
+        recheckVisibleMessages();
     }
+    reportPresence();
+});
+
+// Any input counts as activity; coming back from idle is reported straight away
+['keydown', 'mousedown', 'mousemove', 'touchstart'].forEach(function(type) {
+    document.addEventListener(type, function() {
+        lastActivityAt = Date.now();
+        if (reportedAway && !document.hidden) {
+            reportPresence();
+        }
+    }, { passive: true });
 });
 
 // Handle beforeunload to notify server
 window.addEventListener('beforeunload', function() {
     if (socket && currentUsername) {
-        socket.emit('userLeft', { username: currentUsername });
+        socket.emit('userLeft');
     }
 });
 
-// Keep connection alive
+// Keep connection alive; the ping also reports whether this tab has gone idle
 setInterval(function() {
     if (socket && socket.connected) {
-        socket.emit('ping');
+        reportedAway = isAway();
+        socket.emit('ping', { away: reportedAway });
     }
 }, 30000);
@@ -0,0 +1,31 @@
+// Errors carry an HTTP status so callers can pass them straight to the client
+function aiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Maps a provider's failure to the status we answer with, the same for every provider:
+//   400, 404, 422 (bad request, unknown model) -> 400
+//   401, 403 (credentials rejected)            -> 502
+//   408 (timed out)                            -> 504
+//   429 (rate limited or out of quota)         -> 429
+//   anything else, including network errors    -> 502
+function providerError(provider, providerStatus, detail) {
+    let error;
+    if ([400, 404, 422].includes(providerStatus)) {
+        error = aiError(400, `AI provider "${provider}" rejected the request: ${detail}`);
+    } else if (providerStatus === 401 || providerStatus === 403) {
+        error = aiError(502, `AI provider "${provider}" rejected its credentials`);
+    } else if (providerStatus === 408) {
+        error = aiError(504, `AI provider "${provider}" timed out`);
+    } else if (providerStatus === 429) {
+        error = aiError(429, `AI provider "${provider}" is rate limiting requests; try again later`);
+    } else {
+        error = aiError(502, `AI provider "${provider}" failed: ${detail}`);
+    }
+    error.providerStatus = providerStatus || null;
+    return error;
+}
+
+module.exports = { aiError, providerError };
@@ -0,0 +1,295 @@
+// AI replies and conversation context, used by the aiPrompt socket stream and /api/ai-chat.
+// Replies come from a provider chosen per request, or by AI_PROVIDER:
+//   openai             OpenAI (OPENAI_API_KEY, OPENAI_MODEL)
+//   openai-compatible  any OpenAI-compatible server such as llama.cpp or Ollama
+//                      (AI_BASE_URL, AI_MODEL, optional AI_API_KEY)
+//   mock               scripted replies without network access (AI_MOCK_SCRIPT, AI_MOCK_DELAY_MS)
+// Without AI_PROVIDER, openai is used when OPENAI_API_KEY is set and mock otherwise.
+// Every provider exposes:
+//   stream({ model, messages, onChunk, signal }) -> the reply text (partial when aborted)
+//   complete({ model, messages, signal })        -> the reply text (optional, used for summaries)
+// and reports failures through providerError so they map to the same HTTP statuses.
+const { aiError } = require('./errors');
+
+const SYSTEM_PROMPT = 'You are a helpful AI assistant. Keep answers concise.';
+const SUMMARY_PROMPT = 'Summarize this conversation between a user and an AI assistant in under 150 words. ' +
+    'Keep the facts, names and decisions the assistant will need to continue it.';
+const CHAT_SUMMARY_PROMPT = 'Summarize this group chat in under 100 words for someone who missed it. ' +
+    'Mention who said what when it matters.';
+const MODERATION_PROMPT = 'You review messages posted to a group chat. Answer ALLOW if the message is fine, or ' +
+    'FLAG: <short reason> if a moderator should look at it (harassment, hate, threats, sexual content, spam or scams). ' +
+    'Answer with nothing else.';
+const MAX_CONTENT_LENGTH = 4000;
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
+
+// Budget for a stored conversation's context, in characters (roughly four per token).
+// Recent turns get half of it and the summary a quarter, so a fresh summary always fits.
+const MAX_CONTEXT_CHARS = parseInt(process.env.AI_MAX_CONTEXT_CHARS, 10) || 12000;
+const MAX_SUMMARY_CHARS = Math.floor(MAX_CONTEXT_CHARS / 4);
+
+// Extractive chat summaries keep at most this many lines, skipping filler words when scoring
+const MAX_EXTRACTIVE_LINES = 5;
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+    'out', 'has', 'him', 'his', 'how', 'its', 'let', 'who', 'did', 'yes', 'get', 'got', 'just', 'that', 'this',
+    'with', 'have', 'from', 'they', 'will', 'what', 'when', 'were', 'your', 'then', 'than', 'them', 'been',
+    'there', 'their', 'about', 'would', 'could', 'should', 'which', 'into', 'also', 'some', 'like', 'yeah', 'okay'
+]);
+
+// Providers are created on first use, so e.g. the mock works without the openai package
+const providers = {
+    openai: {
+        configured: () => Boolean(process.env.OPENAI_API_KEY),
+        defaultModel: () => process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        create: () => require('./openai').createOpenAiProvider({
+            name: 'openai',
+            apiKey: process.env.OPENAI_API_KEY
+        })
+    },
+    'openai-compatible': {
+        configured: () => Boolean(process.env.AI_BASE_URL && process.env.AI_MODEL),
+        defaultModel: () => process.env.AI_MODEL,
+        create: () => require('./openai').createOpenAiProvider({
+            name: 'openai-compatible',
+            baseURL: process.env.AI_BASE_URL,
+            // Local servers usually ignore the key, but the client insists on one
+            apiKey: process.env.AI_API_KEY || 'not-needed'
+        })
+    },
+    mock: {
+        configured: () => true,
+        defaultModel: () => 'mock',
+        create: () => require('./mock').createMockProvider({
+            scriptFile: process.env.AI_MOCK_SCRIPT,
+            delayMs: process.env.AI_MOCK_DELAY_MS !== undefined ? Number(process.env.AI_MOCK_DELAY_MS) : 60
+        })
+    }
+};
+const instances = new Map();
+
+function defaultProviderName() {
+    return process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'mock');
+}
+
+// Resolves a requested provider and model (either may be omitted) to
+// { name, model, provider }, throwing a 400 or 503 aiError when it cannot be used
+function selectProvider(name, model) {
+    const key = String(name || defaultProviderName()).toLowerCase();
+    const definition = providers[key];
+    if (!definition) {
+        throw aiError(400, `Unknown AI provider "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+    if (!definition.configured()) {
+        throw aiError(503, `AI provider "${key}" is not configured`);
+    }
+    if (model !== undefined && model !== null && model !== '' && (typeof model !== 'string' || !MODEL_PATTERN.test(model))) {
+        throw aiError(400, 'Invalid model name');
+    }
+
+    if (!instances.has(key)) {
+        instances.set(key, definition.create());
+    }
+    return { name: key, model: model || definition.defaultModel(), provider: instances.get(key) };
+}
+
+// For GET /api/ai/providers
+function listProviders() {
+    const defaultName = defaultProviderName();
+    return Object.entries(providers).map(([name, definition]) => ({
+        name,
+        configured: definition.configured(),
+        default: name === defaultName,
+        defaultModel: definition.configured() ? definition.defaultModel() : null
+    }));
+}
+
+function buildMessages(prompt, history) {
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT }
+    ];
+    if (Array.isArray(history)) {
+        for (const m of history) {
+            if (!m || !m.role || !m.content) continue;
+            messages.push({ role: m.role, content: String(m.content).slice(0, MAX_CONTENT_LENGTH) });
+        }
+    }
+    messages.push({ role: 'user', content: prompt.slice(0, MAX_CONTENT_LENGTH) });
+    return messages;
+}
+
+function transcript(messages) {
+    return messages.map(m => `${m.role}: ${m.content}`);
+}
+
+// Fallback summary: the start of each line, keeping the most recent text when it gets long
+function truncateSummary(previous, lines) {
+    const excerpts = lines.map(line => line.replace(/\s+/g, ' ').slice(0, 200));
+    return [previous, ...excerpts].filter(Boolean).join('\n').slice(-MAX_SUMMARY_CHARS);
+}
+
+// Picks the lines whose words come up most across the chat, in their original
+// order, so the same lines always give the same summary. Used when the provider
+// cannot write one (the mock).
+function extractiveSummary(lines) {
+    const wordsOf = line => [...new Set(
+        (line.slice(line.indexOf(':') + 1).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    )];
+
+    const frequency = new Map();
+    const lineWords = lines.map(wordsOf);
+    lineWords.flat().forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+
+    const count = Math.min(MAX_EXTRACTIVE_LINES, Math.max(1, Math.ceil(lines.length / 4)));
+    const picked = lineWords
+        .map((words, index) => ({
+            index,
+            score: words.reduce((total, word) => total + frequency.get(word), 0) / Math.sqrt(words.length || 1)
+        }))
+        .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+        .slice(0, count)
+        .sort((a, b) => a.index - b.index);
+
+    return picked
+        .map(({ index }) => `• ${lines[index].replace(/\s+/g, ' ').slice(0, 200)}`)
+        .join('\n')
+        .slice(0, MAX_SUMMARY_CHARS);
+}
+
+async function completeSummary({ instructions, previous, lines, selected }) {
+    const summary = await selected.provider.complete({
+        model: selected.model,
+        messages: [
+            { role: 'system', content: instructions },
+            {
+                role: 'user',
+                content: [previous && `Earlier summary: ${previous}`, ...lines]
+                    .filter(Boolean).join('\n').slice(-MAX_CONTEXT_CHARS)
+            }
+        ]
+    });
+    return summary.trim().slice(0, MAX_SUMMARY_CHARS);
+}
+
+// Summarizes transcript lines with the provider, or by truncation when it cannot
+// (the mock has no complete()) or fails
+async function summarize({ instructions, previous, lines, selected }) {
+    if (!selected.provider.complete) return truncateSummary(previous, lines);
+
+    try {
+        const summary = await completeSummary({ instructions, previous, lines, selected });
+        return summary || truncateSummary(previous, lines);
+    } catch (error) {
+        console.warn('AI summary failed, truncating instead:', error instanceof Error ? error.message : error);
+        return truncateSummary(previous, lines);
+    }
+}
+
+// Whether summarizeChat has the provider write the summary (a request that counts
+// against AI quotas) rather than picking lines itself
+function summarizesWithModel(selected) {
+    return Boolean(selected.provider.complete);
+}
+
+// Summarizes chat lines such as "alice: hello" for /summarize and "catch me up".
+// Resolves to { summary, provider, model }. Unlike conversation summaries, provider
+// failures are thrown: the user asked for this summary and should see why it failed.
+async function summarizeChat(lines, { provider, model } = {}) {
+    const selected = selectProvider(provider, model);
+    const summary = summarizesWithModel(selected)
+        ? await completeSummary({ instructions: CHAT_SUMMARY_PROMPT, lines, selected })
+        : extractiveSummary(lines);
+    if (!summary) {
+        throw aiError(502, `AI provider "${selected.name}" returned an empty summary`);
+    }
+    return { summary, provider: selected.name, model: selected.model };
+}
+
+// Fits a stored conversation into the context budget. When it is too long, the
+// newest turns that fit in half the budget are kept verbatim and the older ones
+// are folded into the running summary. `messages` are the turns not yet summarized.
+// Resolves to { history, summary, summarizedUntil }; summarizedUntil is null when
+// the summary did not change.
+async function prepareContext({ summary, messages, provider, model }) {
+    const selected = selectProvider(provider, model);
+    let recent = messages;
+    let summarizedUntil = null;
+
+    const length = (summary || '').length + messages.reduce((total, m) => total + m.content.length, 0);
+    if (length > MAX_CONTEXT_CHARS) {
+        let start = messages.length;
+        let kept = 0;
+        while (start > 0 && kept + messages[start - 1].content.length <= MAX_CONTEXT_CHARS / 2) {
+            kept += messages[start - 1].content.length;
+            start--;
+        }
+
+        const older = messages.slice(0, start);
+        recent = messages.slice(start);
+        if (older.length > 0) {
+            summary = await summarize({
+                instructions: SUMMARY_PROMPT,
+                previous: summary,
+                lines: transcript(older),
+                selected
+            });
+            summarizedUntil = older[older.length - 1].id;
+        }
+    }
+
+    const history = recent.map(m => ({ role: m.role, content: m.content }));
+    if (summary) {
+        history.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+    }
+    return { history, summary: summary || null, summarizedUntil };
+}
+
+// Streams a reply to `prompt`, calling onChunk(delta) as text arrives.
+// Aborting `signal` stops early. Resolves to { text, cancelled, provider, model }.
+async function streamReply({ prompt, history, onChunk, signal, provider, model }) {
+    if (!prompt || typeof prompt !== 'string') {
+        throw aiError(400, 'Invalid prompt');
+    }
+
+    const selected = selectProvider(provider, model);
+    const text = await selected.provider.stream({
+        model: selected.model,
+        messages: buildMessages(prompt, history),
+        onChunk,
+        signal
+    });
+
+    const cancelled = Boolean(signal && signal.aborted);
+    if (!text.trim() && !cancelled) {
+        throw aiError(502, `AI provider "${selected.name}" returned an empty response`);
+    }
+    return { text, cancelled, provider: selected.name, model: selected.model };
+}
+
+// Asks the default provider whether a chat message needs a moderator's attention
+// (the AI step of the message filters). Resolves to { flagged, reason }; any answer
+// that does not start with FLAG counts as fine. Provider failures are thrown.
+async function reviewMessage(text, { signal } = {}) {
+    const selected = selectProvider();
+    const messages = [
+        { role: 'system', content: MODERATION_PROMPT },
+        { role: 'user', content: text.slice(0, MAX_CONTENT_LENGTH) }
+    ];
+    const answer = selected.provider.complete
+        ? await selected.provider.complete({ model: selected.model, messages, signal })
+        : await selected.provider.stream({ model: selected.model, messages, signal });
+
+    const match = /^\s*FLAG\b[\s:.-]*(.*)/is.exec(answer || '');
+    if (!match) return { flagged: false, reason: null };
+    return { flagged: true, reason: match[1].trim().slice(0, 200) || 'Flagged by AI review' };
+}
+
+module.exports = {
+    listProviders,
+    prepareContext,
+    reviewMessage,
+    selectProvider,
+    streamReply,
+    summarizeChat,
+    summarizesWithModel
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const { providerError } = require('./errors');
+
+// Deterministic provider for offline development and integration tests. Replies
+// come from an optional script, a JSON file (AI_MOCK_SCRIPT) of rules such as
+//   [{ "match": "^hello", "reply": "Hi there!" }, { "match": "busy", "error": 429 }]
+// The first rule whose regex (case-insensitive) matches the prompt wins; "error"
+// fails the request as if the provider had answered with that HTTP status.
+// Without a matching rule the prompt is echoed back. Replies stream word by word.
+function loadScript(file) {
+    if (!file) return [];
+
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) {
+        throw new Error(`AI_MOCK_SCRIPT ${file} must contain a JSON array of rules`);
+    }
+    return rules.map(rule => ({ ...rule, pattern: new RegExp(rule.match || '', 'i') }));
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        }
+    });
+}
+
+function createMockProvider({ scriptFile, delayMs }) {
+    const rules = loadScript(scriptFile);
+
+    function replyTo(prompt) {
+        const rule = rules.find(candidate => candidate.pattern.test(prompt));
+        if (rule && rule.error) {
+            throw providerError('mock', Number(rule.error), rule.reply || 'scripted error');
+        }
+        return rule ? String(rule.reply || '') : `Mock AI: You said "${prompt.slice(0, 200)}"`;
+    }
+
+    return {
+        async stream({ messages, onChunk, signal }) {
+            const reply = replyTo(messages[messages.length - 1].content);
+
+            let text = '';
+            for (const piece of reply.match(/\S+\s*/g) || []) {
+                if (onChunk && delayMs > 0) await wait(delayMs, signal);
+                if (signal && signal.aborted) break;
+                text += piece;
+                if (onChunk) onChunk(piece);
+            }
+            return text;
+        }
+
+        // No complete(): ai/index.js truncates conversations that outgrow the context
+        // (truncateSummary) and picks lines for room summaries (extractiveSummary)
+    };
+}
+
+module.exports = { createMockProvider };
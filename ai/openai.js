@@ -0,0 +1,57 @@
+let OpenAIClient = null;
+try {
+    OpenAIClient = require('openai');
+} catch (_) {
+    // openai package not installed; only the mock provider is available
+}
+const { aiError, providerError } = require('./errors');
+
+// OpenAI chat completions. With a baseURL the same client talks to any
+// OpenAI-compatible server (llama.cpp, Ollama, vLLM, ...).
+function createOpenAiProvider({ name, apiKey, baseURL }) {
+    if (!OpenAIClient) {
+        throw aiError(503, 'openai package not installed');
+    }
+    const OpenAI = OpenAIClient.default || OpenAIClient;
+    const client = new OpenAI({ apiKey, baseURL });
+
+    // SDK errors carry the provider's HTTP status; timeouts and network failures do not.
+    // Aborts and some failures throw values that are not Errors at all.
+    function translate(error) {
+        const message = error instanceof Error ? error.message : typeof error === 'string' ? error : '';
+        console.error(`AI provider ${name} error:`, message || error);
+        const status = error instanceof OpenAI.APIConnectionTimeoutError ? 408 : error instanceof Error ? error.status : undefined;
+        return providerError(name, status, message || 'unknown error');
+    }
+
+    return {
+        async stream({ model, messages, onChunk, signal }) {
+            let text = '';
+            try {
+                const stream = await client.chat.completions.create({ model, messages, stream: true }, { signal });
+                for await (const chunk of stream) {
+                    const delta = chunk?.choices?.[0]?.delta?.content;
+                    if (!delta) continue;
+                    text += delta;
+                    if (onChunk) onChunk(delta);
+                }
+            } catch (error) {
+                // Aborting the request surfaces as an error; the partial text is still valid
+                if (signal && signal.aborted) return text;
+                throw translate(error);
+            }
+            return text;
+        },
+
+        async complete({ model, messages, signal }) {
+            try {
+                const response = await client.chat.completions.create({ model, messages }, { signal });
+                return response?.choices?.[0]?.message?.content || '';
+            } catch (error) {
+                throw translate(error);
+            }
+        }
+    };
+}
+
+module.exports = { createOpenAiProvider };
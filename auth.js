@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Password hashing and session tokens used by server.js
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,50}$/;
+const RESERVED_USERNAMES = ['ai', 'system'];
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    // Tokens signed with a random secret stop working when the server restarts
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  SESSION_SECRET is not set; sessions will not survive a restart');
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Usernames are 1-50 letters, numbers, ".", "-" or "_"';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return `Passwords must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function isReservedUsername(username) {
+    return RESERVED_USERNAMES.includes(String(username).toLowerCase());
+}
+
+// Stored as "scrypt$<salt>$<hash>" so the algorithm can change later
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            resolve(false);
+            return;
+        }
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + "." + HMAC signature
+function createSessionToken(username) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: username,
+        exp: Date.now() + TOKEN_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns the username for a valid, unexpired token, otherwise null
+function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!sub || typeof exp !== 'number' || exp < Date.now()) return null;
+        return sub;
+    } catch (_) {
+        return null;
+    }
+}
+
+function bearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    return match ? match[1] : null;
+}
+
+function authenticate(req, res, next, token) {
+    const username = verifySessionToken(token);
+    if (!username) {
+        res.status(401).json({ error: 'Authentication required' });
+        return;
+    }
+    req.username = username;
+    next();
+}
+
+// Express middleware: accepts "Authorization: Bearer <token>" and sets req.username
+function requireAuth(req, res, next) {
+    authenticate(req, res, next, bearerToken(req));
+}
+
+// Same, but also accepts ?token= for URLs the browser loads itself (e.g. <img src>)
+function requireAuthFromQuery(req, res, next) {
+    authenticate(req, res, next, bearerToken(req) || req.query.token);
+}
+
+module.exports = {
+    validateCredentials,
+    isReservedUsername,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    requireAuth,
+    requireAuthFromQuery
+};
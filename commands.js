@@ -0,0 +1,42 @@
+// Slash commands typed into the message box, e.g. "/me waves" (used by server.js).
+// server.js registers the built-in commands. Each command's run(context, args) gets
+// the text after the command name as `args` and a context with:
+//   username, role, room, socket
+//   reply(text)  -> a notice only the sender sees
+//   clear()      -> tells the sender's client to clear its chat pane
+// Commands registered with `requires` (a role such as 'moderator') are only listed
+// and run for users that have it; server.js does the checking.
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+function createCommandRegistry() {
+    const commands = new Map();
+
+    function register(name, { usage = `/${name}`, description, requires = null, run }) {
+        commands.set(name, { name, usage, description, requires, run });
+    }
+
+    // { name, args } for text starting with "/", otherwise null. "//" escapes a leading slash.
+    function parse(text) {
+        if (typeof text !== 'string' || !text.startsWith('/') || text.startsWith('//')) return null;
+        const match = text.match(COMMAND_PATTERN);
+        return match
+            ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() }
+            : { name: text.slice(1).split(/\s/)[0].toLowerCase(), args: '' };
+    }
+
+    function get(name) {
+        return commands.get(name) || null;
+    }
+
+    // For /help and the client's autocomplete; canUse(requires) hides commands the user may not run
+    function list(canUse = () => true) {
+        return [...commands.values()]
+            .filter(command => !command.requires || canUse(command.requires))
+            .map(({ name, usage, description }) => ({ name, usage, description }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return { register, parse, get, list };
+}
+
+module.exports = { createCommandRegistry };
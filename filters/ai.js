@@ -0,0 +1,35 @@
+// AI review: asks the default AI provider (see ai/index.js) whether a moderator
+// should look at the message, then flags or blocks it. The message waits for the
+// answer, so a provider that fails or takes longer than timeoutMs lets it through.
+const ai = require('../ai');
+
+const ACTIONS = ['flag', 'block'];
+
+function createAiReviewFilter({ action, timeoutMs }) {
+    if (!action || action === 'off') return null;
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`FILTER_AI must be one of ${ACTIONS.join(', ')} or off`);
+    }
+
+    return {
+        name: 'ai',
+        async check({ text }) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const review = await ai.reviewMessage(text, { signal: controller.signal });
+                if (controller.signal.aborted || !review.flagged) return { action: 'allow' };
+                return action === 'block'
+                    ? { action: 'block', reason: `Your message was not posted: ${review.reason}` }
+                    : { action: 'flag', reason: review.reason };
+            } catch (error) {
+                console.warn('AI review failed, letting the message through:', error instanceof Error ? error.message : error);
+                return { action: 'allow' };
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+module.exports = { createAiReviewFilter };
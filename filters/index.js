@@ -0,0 +1,96 @@
+// Message filters, run on room messages, edits and direct messages before they are
+// stored (used by server.js). A filter is { name, check(message) } where message is
+// { username, room, text, edit }, with a recipient and a null room for direct messages;
+// check may be async and answers with a verdict:
+//   { action: 'allow' }                  nothing to do (so does returning nothing)
+//   { action: 'modify', text, reason }   the message is stored with `text` instead
+//   { action: 'flag', reason }           stored, and queued for a moderator to review
+//   { action: 'block', reason }          refused; the sender is told `reason`
+// Filters run in order, each seeing the text the ones before it left, and the first
+// block ends the run; run(message, { skip }) leaves out the filters named in skip. A filter may also have record(message), which is called with the
+// message it checked once that message passed every filter and was saved. The
+// configured filters, each off until its settings are given:
+//   words   FILTER_WORDS, FILTER_WORDS_FILE, FILTER_WORDS_ACTION (mask, flag or block)
+//   spam    FILTER_DUPLICATES (identical messages allowed per user, "<count>/<seconds>")
+//   links   FILTER_LINKS_ALLOW, FILTER_LINKS_DENY, FILTER_LINKS_ACTION (block, flag or remove)
+//   ai      FILTER_AI (flag or block), FILTER_AI_TIMEOUT_MS
+const fs = require('fs');
+const { parseLimit } = require('../rateLimit');
+const { createWordFilter } = require('./words');
+const { createDuplicateFilter } = require('./spam');
+const { createLinkFilter } = require('./links');
+const { createAiReviewFilter } = require('./ai');
+
+const ACTIONS = ['allow', 'modify', 'flag', 'block'];
+
+function createFilterPipeline(filters) {
+    // Resolves to { blocked: true, filter, reason } or { blocked: false, text, flags, record },
+    // where flags are [{ filter, reason }] and record() is for the caller to call once the
+    // message is saved
+    async function run(message, { skip = [] } = {}) {
+        let text = message.text;
+        const flags = [];
+        const checked = []; // [filter, the message it saw] for record()
+
+        for (const filter of filters) {
+            if (skip.includes(filter.name)) continue;
+            const seen = { ...message, text };
+            const verdict = (await filter.check(seen)) || { action: 'allow' };
+            if (!ACTIONS.includes(verdict.action)) {
+                throw new Error(`Filter "${filter.name}" answered with unknown action "${verdict.action}"`);
+            }
+
+            if (verdict.action === 'block') {
+                return { blocked: true, filter: filter.name, reason: verdict.reason || 'Message not allowed' };
+            }
+            if (verdict.action === 'modify') {
+                text = verdict.text;
+            }
+            if (verdict.action === 'flag') {
+                flags.push({ filter: filter.name, reason: verdict.reason || null });
+            }
+            checked.push([filter, seen]);
+        }
+
+        function record() {
+            for (const [filter, seen] of checked) {
+                if (filter.record) filter.record(seen);
+            }
+        }
+        return { blocked: false, text, flags, record };
+    }
+
+    return { run, names: filters.map(filter => filter.name) };
+}
+
+// Comma-separated, or one per line in a file; "#" starts a comment line
+function readList(value, file) {
+    const entries = String(value || '').split(',');
+    if (file) {
+        entries.push(...fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => !line.trim().startsWith('#')));
+    }
+    return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+function createConfiguredFilters(env = process.env) {
+    return [
+        createWordFilter({
+            words: readList(env.FILTER_WORDS, env.FILTER_WORDS_FILE),
+            action: env.FILTER_WORDS_ACTION || 'mask'
+        }),
+        createDuplicateFilter({
+            limit: parseLimit(env.FILTER_DUPLICATES === undefined ? '3/60' : env.FILTER_DUPLICATES)
+        }),
+        createLinkFilter({
+            allow: readList(env.FILTER_LINKS_ALLOW),
+            deny: readList(env.FILTER_LINKS_DENY),
+            action: env.FILTER_LINKS_ACTION || 'block'
+        }),
+        createAiReviewFilter({
+            action: env.FILTER_AI,
+            timeoutMs: parseInt(env.FILTER_AI_TIMEOUT_MS, 10) || 5000
+        })
+    ].filter(Boolean);
+}
+
+module.exports = { createFilterPipeline, createConfiguredFilters };
@@ -0,0 +1,56 @@
+// Link filter for the http(s) links the client turns into anchors, bare or in
+// Markdown's [text](url). A denied domain covers its subdomains too. With an allow
+// list, links to any other domain are treated like denied ones. Offending messages
+// are blocked (the default) or flagged, or the links are removed: a Markdown link
+// keeps its text and a bare link becomes "[link removed]".
+const ACTIONS = ['block', 'flag', 'remove'];
+
+// Groups: 1-2 Markdown link text and url, 3 bare url
+// (trailing punctuation is left out of bare urls, as in public/markdown.js)
+const LINK_PATTERN = /\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)|(https?:\/\/[^\s<>"'`)\]]*[^\s<>"'`)\].,:;!?])/gi;
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+function createLinkFilter({ allow, deny, action }) {
+    if (allow.length === 0 && deny.length === 0) return null;
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`FILTER_LINKS_ACTION must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    const allowed = allow.map(domain => domain.toLowerCase());
+    const denied = deny.map(domain => domain.toLowerCase());
+    const covers = (domains, host) => domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+    // Links that cannot be parsed are refused too
+    function isRefused(url) {
+        const host = hostOf(url);
+        if (!host || covers(denied, host)) return true;
+        return allowed.length > 0 && !covers(allowed, host);
+    }
+
+    return {
+        name: 'links',
+        check({ text }) {
+            let refused = 0;
+            const cleaned = text.replace(LINK_PATTERN, (match, label, markdownUrl, bareUrl) => {
+                if (!isRefused(markdownUrl || bareUrl)) return match;
+                refused++;
+                return label !== undefined ? label : '[link removed]';
+            });
+            if (refused === 0) return { action: 'allow' };
+
+            const reason = refused === 1 ? 'Contains a link that is not allowed' : `Contains ${refused} links that are not allowed`;
+            if (action === 'remove') return { action: 'modify', text: cleaned, reason };
+            if (action === 'flag') return { action: 'flag', reason };
+            return { action: 'block', reason: `${reason} here` };
+        }
+    };
+}
+
+module.exports = { createLinkFilter };
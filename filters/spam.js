@@ -0,0 +1,55 @@
+// Duplicate filter: blocks a user sending the same text over and over. Texts count
+// as the same when they only differ in case and spacing, in any room or direct
+// message. A limit of
+// { capacity: 3, seconds: 60 } allows three identical messages a minute. Only messages
+// that were saved count (see record), and edits do not. Recent messages are kept in
+// memory, per server process.
+function normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function createDuplicateFilter({ limit }) {
+    if (!limit) return null;
+    const windowMs = limit.seconds * 1000;
+    const recent = new Map(); // username -> [{ text, at }], oldest first
+    let sweptAt = Date.now();
+
+    // Forget users whose messages have all left the window
+    function sweep(now) {
+        for (const [key, sent] of recent) {
+            if (sent.every(entry => now - entry.at >= windowMs)) recent.delete(key);
+        }
+        sweptAt = now;
+    }
+
+    // The user's messages still in the window, oldest first
+    function recentlySent(username, now) {
+        if (now - sweptAt >= windowMs) sweep(now);
+        const key = username.toLowerCase();
+        const sent = (recent.get(key) || []).filter(entry => now - entry.at < windowMs);
+        recent.set(key, sent);
+        return sent;
+    }
+
+    return {
+        name: 'spam',
+        check({ username, text, edit }) {
+            if (edit) return { action: 'allow' };
+
+            const normalized = normalize(text);
+            const repeats = recentlySent(username, Date.now()).filter(entry => entry.text === normalized).length;
+            if (repeats >= limit.capacity) {
+                return { action: 'block', reason: 'You already sent that; please do not repeat yourself' };
+            }
+            return { action: 'allow' };
+        },
+
+        record({ username, text, edit }) {
+            if (edit) return;
+            const now = Date.now();
+            recentlySent(username, now).push({ text: normalize(text), at: now });
+        }
+    };
+}
+
+module.exports = { createDuplicateFilter };
@@ -0,0 +1,41 @@
+// Word list filter. Entries match whole words, ignoring case; an entry ending in "*"
+// also matches words that start with it ("spam*" catches "spammer"). Matches are
+// masked with "#" (the default), or the message is flagged or blocked.
+const ACTIONS = ['mask', 'flag', 'block'];
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toPattern(entry) {
+    return entry.endsWith('*')
+        ? `${escapeRegExp(entry.slice(0, -1))}${WORD_CHARACTER}*`
+        : escapeRegExp(entry);
+}
+
+function createWordFilter({ words, action }) {
+    if (words.length === 0) return null;
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`FILTER_WORDS_ACTION must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    // Longest first, so "spammer" is tried before "spam"
+    const alternatives = [...words].sort((a, b) => b.length - a.length).map(toPattern);
+    const pattern = new RegExp(`(?<!${WORD_CHARACTER})(?:${alternatives.join('|')})(?!${WORD_CHARACTER})`, 'giu');
+
+    return {
+        name: 'words',
+        check({ text }) {
+            const found = text.match(pattern);
+            if (!found) return { action: 'allow' };
+
+            const reason = `Contains a blocked word (${found.length === 1 ? '1 match' : `${found.length} matches`})`;
+            if (action === 'block') return { action: 'block', reason: 'Your message contains a word that is not allowed' };
+            if (action === 'flag') return { action: 'flag', reason };
+            return { action: 'modify', text: text.replace(pattern, match => '#'.repeat([...match].length)), reason };
+        }
+    };
+}
+
+module.exports = { createWordFilter };
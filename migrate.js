@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { createStorage, selectedDriver } = require('./storage');
+
+// Schema migrations for the configured database (DB_DRIVER or --db=<driver>):
+//   node migrate.js up                apply all pending migrations
+//   node migrate.js status            list migrations and when they were applied
+//   node migrate.js down [--steps=N]  revert the last N applied migrations (default 1)
+
+function parseSteps(argv) {
+    const argument = argv.find(arg => arg.startsWith('--steps='));
+    const steps = argument ? parseInt(argument.slice('--steps='.length), 10) : 1;
+    return Number.isInteger(steps) && steps > 0 ? steps : 1;
+}
+
+// MySQL returns Date objects, SQLite returns "YYYY-MM-DD HH:MM:SS" strings (UTC)
+function formatTime(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+async function main() {
+    const command = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'up';
+    const storage = createStorage(selectedDriver());
+
+    if (!storage.migrator) {
+        console.log(`ℹ️  ${storage.describe()} storage has no schema to migrate`);
+        return;
+    }
+
+    await storage.connect();
+    try {
+        if (command === 'up') {
+            const applied = await storage.migrator.up();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s) to ${storage.describe()}`
+                : `✅ ${storage.describe()} is already up to date`);
+
+        } else if (command === 'down') {
+            const reverted = await storage.migrator.down(parseSteps(process.argv));
+            console.log(reverted.length > 0
+                ? `✅ Reverted ${reverted.length} migration(s) on ${storage.describe()}`
+                : '✅ No applied migrations to revert');
+
+        } else if (command === 'status') {
+            console.log(`💾 ${storage.describe()}`);
+            for (const migration of await storage.migrator.status()) {
+                console.log(`   ${migration.id}  ${migration.appliedAt ? `applied ${formatTime(migration.appliedAt)}` : 'pending'}`);
+            }
+
+        } else {
+            throw new Error(`Unknown command "${command}" (expected up, status or down)`);
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
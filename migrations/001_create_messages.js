@@ -0,0 +1,28 @@
+// Messages table as first shipped; later migrations add rooms, edits and deletes
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS messages (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    username VARCHAR(50) NOT NULL,
+                    text VARCHAR(255) NOT NULL,
+                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL,
+                    text TEXT NOT NULL,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS messages');
+    }
+};
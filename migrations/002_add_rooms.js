@@ -0,0 +1,44 @@
+// Chat rooms: a room column on messages plus the rooms table, seeded with #general
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            if (!(await db.hasColumn('messages', 'room'))) {
+                await db.run(`ALTER TABLE messages ADD COLUMN room VARCHAR(50) NOT NULL DEFAULT 'general'`);
+                await db.run('ALTER TABLE messages ADD INDEX idx_room_timestamp (room, timestamp)');
+            }
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS rooms (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(50) NOT NULL UNIQUE,
+                    created_by VARCHAR(50),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            await db.run('INSERT IGNORE INTO rooms (name, created_by) VALUES (?, ?)', ['general', 'System']);
+        } else {
+            if (!(await db.hasColumn('messages', 'room'))) {
+                await db.run(`ALTER TABLE messages ADD COLUMN room TEXT NOT NULL DEFAULT 'general'`);
+            }
+            await db.run('CREATE INDEX IF NOT EXISTS idx_messages_room_timestamp ON messages (room, timestamp)');
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS rooms (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await db.run('INSERT OR IGNORE INTO rooms (name, created_by) VALUES (?, ?)', ['general', 'System']);
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS rooms');
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages DROP INDEX idx_room_timestamp, DROP COLUMN room');
+        } else {
+            await db.run('DROP INDEX IF EXISTS idx_messages_room_timestamp');
+            await db.run('ALTER TABLE messages DROP COLUMN room');
+        }
+    }
+};
@@ -0,0 +1,36 @@
+// Private messages between two users
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS direct_messages (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    sender VARCHAR(50) NOT NULL,
+                    recipient VARCHAR(50) NOT NULL,
+                    text VARCHAR(255) NOT NULL,
+                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    read_at TIMESTAMP NULL DEFAULT NULL,
+                    INDEX idx_dm_pair (sender, recipient, timestamp),
+                    INDEX idx_dm_unread (recipient, read_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS direct_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    sender TEXT NOT NULL,
+                    recipient TEXT NOT NULL,
+                    text TEXT NOT NULL,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    read_at DATETIME
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_dm_pair ON direct_messages (sender, recipient, timestamp)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_dm_unread ON direct_messages (recipient, read_at)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS direct_messages');
+    }
+};
@@ -0,0 +1,48 @@
+// Editing and deleting messages: timestamps on messages plus the previous text in message_edits
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            if (!(await db.hasColumn('messages', 'edited_at'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN edited_at TIMESTAMP NULL DEFAULT NULL');
+            }
+            if (!(await db.hasColumn('messages', 'deleted_at'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL');
+            }
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS message_edits (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    message_id INT NOT NULL,
+                    action VARCHAR(10) NOT NULL,
+                    previous_text VARCHAR(255) NOT NULL,
+                    edited_by VARCHAR(50) NOT NULL,
+                    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_message_edits_message (message_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            if (!(await db.hasColumn('messages', 'edited_at'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN edited_at DATETIME');
+            }
+            if (!(await db.hasColumn('messages', 'deleted_at'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN deleted_at DATETIME');
+            }
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS message_edits (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER NOT NULL,
+                    action TEXT NOT NULL,
+                    previous_text TEXT NOT NULL,
+                    edited_by TEXT NOT NULL,
+                    edited_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits (message_id)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS message_edits');
+        await db.run('ALTER TABLE messages DROP COLUMN deleted_at');
+        await db.run('ALTER TABLE messages DROP COLUMN edited_at');
+    }
+};
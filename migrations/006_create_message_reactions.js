@@ -0,0 +1,35 @@
+// Emoji reactions: one row per user, message and emoji.
+// MySQL uses a binary collation so different emoji never compare equal.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS message_reactions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    message_id INT NOT NULL,
+                    username VARCHAR(50) NOT NULL,
+                    emoji VARCHAR(32) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY uniq_reaction (message_id, username, emoji),
+                    INDEX idx_reactions_message (message_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS message_reactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER NOT NULL,
+                    username TEXT NOT NULL,
+                    emoji TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (message_id, username, emoji)
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_reactions_message ON message_reactions (message_id)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS message_reactions');
+    }
+};
@@ -0,0 +1,38 @@
+// Uploaded files; message_id stays NULL until the upload is sent with a message
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS attachments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    message_id INT NULL,
+                    uploader VARCHAR(50) NOT NULL,
+                    original_name VARCHAR(255) NOT NULL,
+                    mime_type VARCHAR(100) NOT NULL,
+                    size INT NOT NULL,
+                    storage_name VARCHAR(64) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_attachments_message (message_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS attachments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER,
+                    uploader TEXT NOT NULL,
+                    original_name TEXT NOT NULL,
+                    mime_type TEXT NOT NULL,
+                    size INTEGER NOT NULL,
+                    storage_name TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments (message_id)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS attachments');
+    }
+};
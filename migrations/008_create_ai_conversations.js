@@ -0,0 +1,58 @@
+// Per-user AI conversations. Older turns are folded into `summary` once the
+// context gets long; summarized_until is the id of the last ai_messages row it covers.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS ai_conversations (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    username VARCHAR(50) NOT NULL,
+                    title VARCHAR(100) NOT NULL,
+                    summary TEXT NULL,
+                    summarized_until INT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_ai_conversations_user (username, updated_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS ai_messages (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    conversation_id INT NOT NULL,
+                    role VARCHAR(10) NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_ai_messages_conversation (conversation_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS ai_conversations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL,
+                    title TEXT NOT NULL,
+                    summary TEXT,
+                    summarized_until INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_ai_conversations_user ON ai_conversations (username, updated_at)');
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS ai_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    conversation_id INTEGER NOT NULL,
+                    role TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation ON ai_messages (conversation_id)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS ai_messages');
+        await db.run('DROP TABLE IF EXISTS ai_conversations');
+    }
+};
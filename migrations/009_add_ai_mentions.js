@@ -0,0 +1,17 @@
+// @ai mentions: replies point at the message they answer, and rooms can turn the assistant off
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages ADD COLUMN reply_to INT NULL DEFAULT NULL');
+            await db.run('ALTER TABLE rooms ADD COLUMN ai_enabled BOOLEAN NOT NULL DEFAULT TRUE');
+        } else {
+            await db.run('ALTER TABLE messages ADD COLUMN reply_to INTEGER');
+            await db.run('ALTER TABLE rooms ADD COLUMN ai_enabled INTEGER NOT NULL DEFAULT 1');
+        }
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE rooms DROP COLUMN ai_enabled');
+        await db.run('ALTER TABLE messages DROP COLUMN reply_to');
+    }
+};
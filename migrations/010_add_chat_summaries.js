@@ -0,0 +1,42 @@
+// "Catch me up": when each user was last online, and room summaries cached by the
+// range of messages they cover (first and last message id) and the model that wrote them
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE users ADD COLUMN last_seen_at TIMESTAMP NULL DEFAULT NULL');
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS chat_summaries (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    room VARCHAR(50) NOT NULL,
+                    first_message_id INT NOT NULL,
+                    last_message_id INT NOT NULL,
+                    provider VARCHAR(50) NOT NULL,
+                    model VARCHAR(100) NOT NULL,
+                    summary TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_chat_summary (room, first_message_id, last_message_id, provider, model)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run('ALTER TABLE users ADD COLUMN last_seen_at DATETIME');
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS chat_summaries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    room TEXT NOT NULL,
+                    first_message_id INTEGER NOT NULL,
+                    last_message_id INTEGER NOT NULL,
+                    provider TEXT NOT NULL,
+                    model TEXT NOT NULL,
+                    summary TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (room, first_message_id, last_message_id, provider, model)
+                )`
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS chat_summaries');
+        await db.run('ALTER TABLE users DROP COLUMN last_seen_at');
+    }
+};
@@ -0,0 +1,42 @@
+// Full-text search over room messages. MySQL uses a FULLTEXT index; SQLite keeps an
+// FTS5 index in messages_fts, filled from the existing rows and kept in step by triggers.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_text (text)');
+        } else {
+            await db.run(
+                `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts
+                 USING fts5(text, content='messages', content_rowid='id')`
+            );
+            await db.run(
+                `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                    INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+                 END`
+            );
+            await db.run(
+                `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+                    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+                    INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+                 END`
+            );
+            await db.run(
+                `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+                 END`
+            );
+            await db.run("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages DROP INDEX ft_messages_text');
+        } else {
+            await db.run('DROP TRIGGER IF EXISTS messages_fts_delete');
+            await db.run('DROP TRIGGER IF EXISTS messages_fts_update');
+            await db.run('DROP TRIGGER IF EXISTS messages_fts_insert');
+            await db.run('DROP TABLE IF EXISTS messages_fts');
+        }
+    }
+};
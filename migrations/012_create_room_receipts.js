@@ -0,0 +1,35 @@
+// Read receipts: per user and room, the newest message their client has received
+// (last_delivered_id) and shown on screen (last_read_id). Both only move forward.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS room_receipts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    room VARCHAR(50) NOT NULL,
+                    username VARCHAR(50) NOT NULL,
+                    last_delivered_id INT NOT NULL DEFAULT 0,
+                    last_read_id INT NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_room_receipt (room, username)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS room_receipts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    room TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    last_delivered_id INTEGER NOT NULL DEFAULT 0,
+                    last_read_id INTEGER NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (room, username)
+                )`
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS room_receipts');
+    }
+};
@@ -0,0 +1,22 @@
+// Client-generated message ids, so a message resent after a lost acknowledgement
+// is recognised instead of being stored twice
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages ADD COLUMN client_id VARCHAR(64) NULL DEFAULT NULL');
+            await db.run('ALTER TABLE messages ADD UNIQUE INDEX unique_client_message (username, client_id)');
+        } else {
+            await db.run('ALTER TABLE messages ADD COLUMN client_id TEXT');
+            await db.run('CREATE UNIQUE INDEX IF NOT EXISTS unique_client_message ON messages (username, client_id)');
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('ALTER TABLE messages DROP INDEX unique_client_message, DROP COLUMN client_id');
+        } else {
+            await db.run('DROP INDEX IF EXISTS unique_client_message');
+            await db.run('ALTER TABLE messages DROP COLUMN client_id');
+        }
+    }
+};
@@ -0,0 +1,25 @@
+// Threads: a reply's reply_to is the first message of its thread. The index serves
+// the thread panel's reply pages and the reply counts shown on each parent.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            const rows = await db.all(
+                `SELECT COUNT(*) as count FROM information_schema.STATISTICS
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'messages' AND INDEX_NAME = 'idx_messages_reply_to'`
+            );
+            if (!(rows[0].count > 0)) {
+                await db.run('CREATE INDEX idx_messages_reply_to ON messages (reply_to)');
+            }
+        } else {
+            await db.run('CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages (reply_to)');
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.run('DROP INDEX idx_messages_reply_to ON messages');
+        } else {
+            await db.run('DROP INDEX IF EXISTS idx_messages_reply_to');
+        }
+    }
+};
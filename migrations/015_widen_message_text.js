@@ -0,0 +1,24 @@
+// Messages may be longer than 255 characters (MAX_MESSAGE_LENGTH), so on MySQL the
+// message, direct message and edit history text becomes TEXT. SQLite's TEXT columns
+// have no length limit. Reverting fails on MySQL while longer messages are stored.
+const COLUMNS = [
+    ['messages', 'text'],
+    ['direct_messages', 'text'],
+    ['message_edits', 'previous_text']
+];
+
+module.exports = {
+    async up(db) {
+        if (db.dialect !== 'mysql') return;
+        for (const [table, column] of COLUMNS) {
+            await db.run(`ALTER TABLE ${table} MODIFY ${column} TEXT NOT NULL`);
+        }
+    },
+
+    async down(db) {
+        if (db.dialect !== 'mysql') return;
+        for (const [table, column] of COLUMNS) {
+            await db.run(`ALTER TABLE ${table} MODIFY ${column} VARCHAR(255) NOT NULL`);
+        }
+    }
+};
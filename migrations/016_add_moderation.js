@@ -0,0 +1,84 @@
+// Moderation: a role per user (admin, moderator or member), active mutes and bans
+// (by account or IP address, until expires_at or until lifted) and an audit log
+// of every moderator action
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            if (!(await db.hasColumn('users', 'role'))) {
+                await db.run("ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'member'");
+            }
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS user_sanctions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    kind VARCHAR(10) NOT NULL,
+                    username VARCHAR(50) NULL,
+                    ip VARCHAR(64) NULL,
+                    reason VARCHAR(255) NULL,
+                    created_by VARCHAR(50) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP NULL DEFAULT NULL,
+                    lifted_at TIMESTAMP NULL DEFAULT NULL,
+                    lifted_by VARCHAR(50) NULL,
+                    INDEX idx_sanctions_username (username),
+                    INDEX idx_sanctions_ip (ip)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS moderation_log (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    moderator VARCHAR(50) NOT NULL,
+                    action VARCHAR(20) NOT NULL,
+                    target_username VARCHAR(50) NULL,
+                    target_ip VARCHAR(64) NULL,
+                    message_id INT NULL,
+                    room VARCHAR(50) NULL,
+                    reason VARCHAR(255) NULL,
+                    expires_at TIMESTAMP NULL DEFAULT NULL,
+                    new_role VARCHAR(20) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            if (!(await db.hasColumn('users', 'role'))) {
+                await db.run("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'member'");
+            }
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS user_sanctions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    kind TEXT NOT NULL,
+                    username TEXT COLLATE NOCASE,
+                    ip TEXT,
+                    reason TEXT,
+                    created_by TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at DATETIME,
+                    lifted_at DATETIME,
+                    lifted_by TEXT
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sanctions_username ON user_sanctions (username)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sanctions_ip ON user_sanctions (ip)');
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS moderation_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    moderator TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target_username TEXT,
+                    target_ip TEXT,
+                    message_id INTEGER,
+                    room TEXT,
+                    reason TEXT,
+                    expires_at DATETIME,
+                    new_role TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS moderation_log');
+        await db.run('DROP TABLE IF EXISTS user_sanctions');
+        await db.run('ALTER TABLE users DROP COLUMN role');
+    }
+};
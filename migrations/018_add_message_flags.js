@@ -0,0 +1,48 @@
+// Review queue: room messages the message filters flagged for a moderator, one row
+// per filter. `text` is the message as it was stored. A moderator resolves every flag
+// on a message at once, by approving it or removing the message.
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS message_flags (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    message_id INT NOT NULL,
+                    room VARCHAR(50) NOT NULL,
+                    username VARCHAR(50) NOT NULL,
+                    text TEXT NOT NULL,
+                    filter VARCHAR(20) NOT NULL,
+                    reason VARCHAR(255) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    resolution VARCHAR(10) NULL,
+                    reviewed_by VARCHAR(50) NULL,
+                    reviewed_at TIMESTAMP NULL DEFAULT NULL,
+                    INDEX idx_message_flags_message (message_id),
+                    INDEX idx_message_flags_resolution (resolution)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        } else {
+            await db.run(
+                `CREATE TABLE IF NOT EXISTS message_flags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER NOT NULL,
+                    room TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    text TEXT NOT NULL,
+                    filter TEXT NOT NULL,
+                    reason TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolution TEXT,
+                    reviewed_by TEXT,
+                    reviewed_at DATETIME
+                )`
+            );
+            await db.run('CREATE INDEX IF NOT EXISTS idx_message_flags_message ON message_flags (message_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_message_flags_resolution ON message_flags (resolution)');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS message_flags');
+    }
+};
@@ -0,0 +1,52 @@
+// Room summaries are also keyed by a fingerprint of the transcript they were written
+// from, so two ranges with the same first and last message but different contents
+// (deleted or edited messages in between) do not share a summary. The table is only
+// a cache, so it is recreated empty rather than altered.
+const MYSQL_COLUMNS = `
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    room VARCHAR(50) NOT NULL,
+    first_message_id INT NOT NULL,
+    last_message_id INT NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    summary TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`;
+
+const SQLITE_COLUMNS = `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    first_message_id INTEGER NOT NULL,
+    last_message_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP`;
+
+async function recreate(db, withFingerprint) {
+    await db.run('DROP TABLE IF EXISTS chat_summaries');
+    if (db.dialect === 'mysql') {
+        await db.run(`
+            CREATE TABLE chat_summaries (${MYSQL_COLUMNS},
+                ${withFingerprint ? 'fingerprint CHAR(64) NOT NULL,' : ''}
+                UNIQUE KEY unique_chat_summary (room, first_message_id, last_message_id, provider, model${withFingerprint ? ', fingerprint' : ''})
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    } else {
+        await db.run(
+            `CREATE TABLE chat_summaries (${SQLITE_COLUMNS},
+                ${withFingerprint ? 'fingerprint TEXT NOT NULL,' : ''}
+                UNIQUE (room, first_message_id, last_message_id, provider, model${withFingerprint ? ', fingerprint' : ''})
+            )`
+        );
+    }
+}
+
+module.exports = {
+    async up(db) {
+        await recreate(db, true);
+    },
+
+    async down(db) {
+        await recreate(db, false);
+    }
+};
@@ -0,0 +1,28 @@
+// Actions ("/me waves") are marked by a column instead of a "/me " prefix on the
+// text, which a message escaped with "//me" could also have. Existing rows with the
+// prefix become actions, and down puts the prefix back.
+module.exports = {
+    async up(db) {
+        // The prefix check is case-sensitive, like the "/me " test it replaces
+        if (db.dialect === 'mysql') {
+            if (!(await db.hasColumn('messages', 'action'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN action TINYINT(1) NOT NULL DEFAULT 0');
+            }
+            await db.run("UPDATE messages SET action = 1, text = SUBSTR(text, 5) WHERE action = 0 AND BINARY LEFT(text, 4) = '/me '");
+        } else {
+            if (!(await db.hasColumn('messages', 'action'))) {
+                await db.run('ALTER TABLE messages ADD COLUMN action INTEGER NOT NULL DEFAULT 0');
+            }
+            await db.run("UPDATE messages SET action = 1, text = SUBSTR(text, 5) WHERE action = 0 AND SUBSTR(text, 1, 4) = '/me '");
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'mysql') {
+            await db.run("UPDATE messages SET text = CONCAT('/me ', text) WHERE action = 1");
+        } else {
+            await db.run("UPDATE messages SET text = '/me ' || text WHERE action = 1");
+        }
+        await db.run('ALTER TABLE messages DROP COLUMN action');
+    }
+};
@@ -0,0 +1,45 @@
+// The SQLite adapter stores times as ISO strings ("2026-10-19T17:45:00.000Z"), but
+// CURRENT_TIMESTAMP defaults and older databases left "2026-10-19 17:45:00" in the
+// same columns, and the two formats do not compare correctly as strings. Both are
+// UTC, so the old values are rewritten as ISO. Down leaves them as ISO, the format
+// the app writes anyway. MySQL stores real TIMESTAMP values and needs nothing.
+const COLUMNS = [
+    ['messages', 'timestamp'],
+    ['messages', 'edited_at'],
+    ['messages', 'deleted_at'],
+    ['rooms', 'created_at'],
+    ['users', 'created_at'],
+    ['users', 'last_seen_at'],
+    ['direct_messages', 'timestamp'],
+    ['direct_messages', 'read_at'],
+    ['message_edits', 'edited_at'],
+    ['message_reactions', 'created_at'],
+    ['attachments', 'created_at'],
+    ['ai_conversations', 'created_at'],
+    ['ai_conversations', 'updated_at'],
+    ['ai_messages', 'created_at'],
+    ['chat_summaries', 'created_at'],
+    ['room_receipts', 'updated_at'],
+    ['user_sanctions', 'created_at'],
+    ['user_sanctions', 'expires_at'],
+    ['user_sanctions', 'lifted_at'],
+    ['moderation_log', 'expires_at'],
+    ['moderation_log', 'created_at'],
+    ['ai_usage', 'updated_at'],
+    ['message_flags', 'created_at'],
+    ['message_flags', 'reviewed_at']
+];
+
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'mysql') return;
+        for (const [table, column] of COLUMNS) {
+            await db.run(
+                `UPDATE ${table} SET ${column} = strftime('%Y-%m-%dT%H:%M:%fZ', ${column})
+                 WHERE ${column} LIKE '____-__-__ __:__:__%'`
+            );
+        }
+    },
+
+    async down() {}
+};
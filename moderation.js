@@ -0,0 +1,63 @@
+const net = require('net');
+
+// Roles and the rules for moderation actions (used by server.js). Members chat;
+// moderators can also mute, kick, ban and delete any message; admins can also
+// change roles. Nobody can act on a user of the same or a higher role.
+// ADMIN_USERNAMES (comma-separated) makes those accounts admins whatever their stored role.
+
+const ROLES = ['member', 'moderator', 'admin'];
+const MAX_REASON_LENGTH = 255;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;     // a week
+const MAX_BAN_MINUTES = 365 * 24 * 60;    // a year; bans without minutes never expire
+
+const adminUsernames = new Set(
+    (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+);
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+// `user` is a row from storage.findUser
+function effectiveRole(user) {
+    if (adminUsernames.has(user.username.toLowerCase())) return 'admin';
+    return isRole(user.role) ? user.role : 'member';
+}
+
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function outranks(role, targetRole) {
+    return ROLES.indexOf(role) > ROLES.indexOf(targetRole);
+}
+
+// Whole minutes from 1 to max, or null
+function parseMinutes(value, max) {
+    const minutes = Number(value);
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= max ? minutes : null;
+}
+
+// IPv4 clients of a dual-stack server show up as "::ffff:1.2.3.4"
+function normalizeIp(address) {
+    const ip = String(address || '').trim();
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+function isValidIp(ip) {
+    return net.isIP(ip) !== 0;
+}
+
+module.exports = {
+    ROLES,
+    MAX_REASON_LENGTH,
+    MAX_MUTE_MINUTES,
+    MAX_BAN_MINUTES,
+    isRole,
+    effectiveRole,
+    hasRole,
+    outranks,
+    parseMinutes,
+    normalizeIp,
+    isValidIp
+};
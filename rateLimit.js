@@ -0,0 +1,109 @@
+// Flood protection (used by server.js). Every kind of event has a token bucket per
+// user and per IP address: a limit of "20/10" lets 20 through at once and then
+// refills at 20 per 10 seconds, so short bursts pass but a steady flood is cut down
+// to the refill rate. RATE_LIMIT_<EVENT> and RATE_LIMIT_<EVENT>_IP override the
+// defaults below ("off" turns one off). Buckets live in memory, per server process.
+//
+// AI requests also count against a daily quota per user (AI_DAILY_QUOTA, 0 for none),
+// which is kept in the database so restarts do not reset it.
+
+const DEFAULT_LIMITS = {
+    message: { user: '20/10', ip: '60/10' },   // room and direct messages, including commands
+    typing: { user: '60/60', ip: '180/60' },
+    history: { user: '30/10', ip: '90/10' },   // history, thread and direct message pages, and resuming
+    ai: { user: '10/60', ip: '30/60' },        // aiPrompt, POST /api/ai-chat and POST /api/summarize
+    auth: { user: null, ip: '30/300' }         // login and registration attempts
+};
+const LIMIT_PATTERN = /^(\d+)\/(\d+)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parsedQuota = parseInt(process.env.AI_DAILY_QUOTA, 10);
+const AI_DAILY_QUOTA = Number.isInteger(parsedQuota) && parsedQuota >= 0 ? parsedQuota : 100;
+
+// "<count>/<seconds>" -> { capacity, seconds }; "off" or anything invalid -> null
+function parseLimit(value) {
+    const match = LIMIT_PATTERN.exec(String(value || '').trim());
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return null;
+    return { capacity: Number(match[1]), seconds: Number(match[2]) };
+}
+
+function loadLimits(env = process.env) {
+    const limits = {};
+    for (const [event, defaults] of Object.entries(DEFAULT_LIMITS)) {
+        const name = `RATE_LIMIT_${event.toUpperCase()}`;
+        limits[event] = {
+            user: parseLimit(env[name] !== undefined ? env[name] : defaults.user),
+            ip: parseLimit(env[`${name}_IP`] !== undefined ? env[`${name}_IP`] : defaults.ip)
+        };
+    }
+    return limits;
+}
+
+function createRateLimiter(limits = loadLimits()) {
+    const buckets = new Map(); // "event|user|alice" or "event|ip|1.2.3.4" -> { tokens, limit, updatedAt }
+
+    function refill(key, limit, now) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, limit, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+        const refilled = (now - bucket.updatedAt) / 1000 * limit.capacity / limit.seconds;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + refilled);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Takes a token from the user's and the address's bucket for `event`, or from
+    // neither when either is empty. Returns 0 when the event may go ahead, otherwise
+    // the whole seconds until it may.
+    function consume(event, { username, ip }, now = Date.now()) {
+        const limit = limits[event];
+        if (!limit) return 0;
+
+        const keyed = [];
+        if (limit.user && username) keyed.push(refill(`${event}|user|${username.toLowerCase()}`, limit.user, now));
+        if (limit.ip && ip) keyed.push(refill(`${event}|ip|${ip}`, limit.ip, now));
+
+        const empty = keyed.filter(bucket => bucket.tokens < 1);
+        if (empty.length > 0) {
+            const waits = empty.map(bucket => (1 - bucket.tokens) * bucket.limit.seconds / bucket.limit.capacity);
+            return Math.max(1, Math.ceil(Math.max(...waits)));
+        }
+        keyed.forEach(bucket => { bucket.tokens -= 1; });
+        return 0;
+    }
+
+    // Full buckets carry no state, so they can go; call this now and then
+    function prune(now = Date.now()) {
+        for (const [key, bucket] of buckets) {
+            if (refill(key, bucket.limit, now).tokens >= bucket.limit.capacity) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    return { consume, prune };
+}
+
+// Quota days run from midnight to midnight UTC
+function quotaDay(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function quotaResetsAt(now = new Date()) {
+    return new Date(Math.floor(now.getTime() / DAY_MS + 1) * DAY_MS);
+}
+
+function secondsUntilQuotaReset(now = new Date()) {
+    return Math.max(1, Math.ceil((quotaResetsAt(now).getTime() - now.getTime()) / 1000));
+}
+
+module.exports = {
+    AI_DAILY_QUOTA,
+    parseLimit,
+    createRateLimiter,
+    quotaDay,
+    quotaResetsAt,
+    secondsUntilQuotaReset
+};
@@ -0,0 +1,63 @@
+// Message search helpers used by GET /api/search. A query is split into words and a
+// message matches when every word starts one of its words ("rele" finds "release").
+// The storage adapters do the matching (FTS5, FULLTEXT or a scan in memory); the
+// snippets shown in results are cut here so every adapter highlights the same way.
+
+const MAX_SEARCH_TERMS = 10;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 30; // characters kept before the first match
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase, de-duplicated words; an empty list means there is nothing to search for
+function parseSearchQuery(query) {
+    if (typeof query !== 'string') return [];
+    const words = query.slice(0, MAX_QUERY_LENGTH).toLowerCase().match(WORD_PATTERN) || [];
+    return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+}
+
+// [{ start, end }] for each word of `text` that one of the terms starts
+function findMatches(text, terms) {
+    const matches = [];
+    for (const word of text.matchAll(WORD_PATTERN)) {
+        const lower = word[0].toLowerCase();
+        if (terms.some(term => lower.startsWith(term))) {
+            matches.push({ start: word.index, end: word.index + word[0].length });
+        }
+    }
+    return matches;
+}
+
+function matchesAllTerms(text, terms) {
+    const words = text.toLowerCase().match(WORD_PATTERN) || [];
+    return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+// Cuts long messages down to the part around the first match. Resolves to
+// { snippet, highlights }, where highlights are [start, end] offsets into the snippet.
+function buildSnippet(text, terms) {
+    const matches = findMatches(text, terms);
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+        start = matches.length > 0 ? Math.max(0, matches[0].start - SNIPPET_LEAD) : 0;
+        end = Math.min(text.length, start + SNIPPET_LENGTH);
+        start = Math.max(0, end - SNIPPET_LENGTH);
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const shift = prefix.length - start;
+    const highlights = matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => [match.start + shift, match.end + shift]);
+
+    return { snippet: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+module.exports = {
+    parseSearchQuery,
+    matchesAllTerms,
+    buildSnippet
+};
@@ -2,15 +2,18 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
-let OpenAIClient = null;
-try {
-    OpenAIClient = require('openai');
-} catch (_) {
-    // openai not installed
-}
+const auth = require('./auth');
+const uploads = require('./uploads');
+const ai = require('./ai');
+const search = require('./search');
+const moderation = require('./moderation');
+const rateLimit = require('./rateLimit');
+const { createCommandRegistry } = require('./commands');
+const { createFilterPipeline, createConfiguredFilters } = require('./filters');
+const { createStorage, selectedDriver } = require('./storage');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,172 +29,2227 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// MySQL Database Configuration
-const dbConfig = {
-    host: 'localhost',
-    user: 'root',
-    password: '', // Change this to your MySQL password
-    database: 'chat_app',
-    charset: 'utf8mb4'
-};
+// Rooms
+const DEFAULT_ROOM = 'general';
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Storage adapter: DB_DRIVER=mysql (default), sqlite or memory; "--db=<driver>" on the command line wins
+const storage = createStorage(selectedDriver(), { defaultRoom: DEFAULT_ROOM });
+
+// Longest room or direct message, in characters (MAX_MESSAGE_LENGTH). MySQL keeps the
+// text in TEXT columns, which hold about 16000 characters of utf8mb4.
+const MAX_MESSAGE_LENGTH = Math.min(parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 2000, 16000);
+
+// Message history paging (cursor = id of the oldest message the client has)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parsePageSize(value) {
+    const size = parseInt(value, 10);
+    if (!Number.isInteger(size) || size < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(size, MAX_PAGE_SIZE);
+}
+
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+async function getMessagePage(room, before, limit) {
+    // Fetch one extra row to learn whether an older page exists
+    const rows = await storage.listMessages(room, before, limit + 1);
+    const hasMore = rows.length > limit;
+
+    // Reverse to show oldest first
+    const messages = await toClientMessages(rows.slice(0, limit).reverse());
+    return {
+        messages,
+        hasMore,
+        nextBefore: hasMore && messages.length > 0 ? messages[0].id : null,
+        receipts: await listRoomReceipts(room)
+    };
+}
+
+// A page centred on one message, for jumping to a search result. Resolves to null
+// when the message is not in the room.
+async function getMessageContext(room, around, limit) {
+    const olderLimit = Math.ceil(limit / 2);
+    const newerLimit = limit - olderLimit;
+
+    // The message itself and the ones before it, newest first, plus one to learn whether there are more
+    const older = await storage.listMessages(room, around + 1, olderLimit + 1);
+    if (older.length === 0 || older[0].id !== around) return null;
+    const newer = await storage.listMessagesAfter(room, around, newerLimit + 1);
+
+    const hasMore = older.length > olderLimit;
+    const rows = [...older.slice(0, olderLimit).reverse(), ...newer.slice(0, newerLimit)];
+    const messages = await toClientMessages(rows);
+    return {
+        messages,
+        hasMore,
+        nextBefore: hasMore ? messages[0].id : null,
+        hasNewer: newer.length > newerLimit,
+        receipts: await listRoomReceipts(room)
+    };
+}
+
+// Read receipts. Each user has two watermarks per room: the newest message their
+// client has received (delivered) and shown on screen (read). History pages carry
+// the room's receipts and changes are broadcast, so clients can work out the ticks
+// on their own messages: delivered or read once anyone else's watermark reaches them.
+function toClientReceipt(row) {
+    return { username: row.username, lastDeliveredId: row.last_delivered_id, lastReadId: row.last_read_id };
+}
+
+async function listRoomReceipts(room) {
+    return (await storage.listRoomReceipts(room)).map(toClientReceipt);
+}
+
+async function advanceReceipt(room, username, { deliveredId, readId }) {
+    const row = await storage.advanceRoomReceipt({ room, username, deliveredId, readId, updatedAt: new Date() });
+    if (row) {
+        io.to(room).emit('receiptUpdate', { room, ...toClientReceipt(row) });
+    }
+}
+
+// `data` is { room, id } of the newest message received or shown. Acks for rooms the
+// socket is not in, or for messages from another room, are ignored rather than
+// reported: they are sent automatically and can arrive just after leaving a room.
+async function acknowledgeMessage(socket, data, kind) {
+    const room = normalizeRoomName(data && data.room);
+    const id = parseId(data && data.id);
+    if (!room || !id || !socket.joinedRooms.has(room)) return;
 
-// Create MySQL connection pool
-let db;
-async function initializeDatabase() {
     try {
-        // First, create database if it doesn't exist
-        const tempConnection = await mysql.createConnection({
-            host: dbConfig.host,
-            user: dbConfig.user,
-            password: dbConfig.password,
-            charset: 'utf8mb4'
+        const message = await storage.getMessage(id);
+        if (!message || message.room !== room) return;
+        await advanceReceipt(room, socket.username, kind === 'read' ? { readId: id } : { deliveredId: id });
+    } catch (error) {
+        console.error(`Error saving ${kind} receipt:`, error);
+    }
+}
+
+// Deleted messages are kept in the database but sent to clients as tombstones
+function toClientMessage(row) {
+    if (!row.deleted_at) return row;
+    return { ...row, text: '', deleted: true };
+}
+
+// Shared by the socket events and REST routes. Resolves to { status, error }
+// when the change is not allowed, otherwise broadcasts it and returns { update }.
+async function applyMessageEdit(username, id, text, ip) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_MESSAGE_LENGTH) {
+        return { status: 400, error: 'Invalid message data' };
+    }
+
+    const restriction = await checkCanPost(username, ip);
+    if (restriction) return restriction;
+
+    const row = await storage.getMessage(id);
+    if (!row || row.deleted_at) {
+        return { status: 404, error: 'Message not found' };
+    }
+    if (row.username !== username) {
+        return { status: 403, error: 'You can only edit your own messages' };
+    }
+
+    const filtered = await filterRoomMessage({ username, room: row.room, text, edit: true });
+    if (filtered.error) return filtered;
+
+    // The storage keeps the previous text so moderators can see what changed
+    const editedAt = new Date();
+    await storage.editMessage(row, filtered.text, username, editedAt);
+    await recordMessageFlags(row.id, { username, room: row.room, text: filtered.text }, filtered.flags);
+    filtered.record();
+
+    const update = { id: row.id, room: row.room, text: filtered.text, editedAt };
+    io.to(row.room).emit('messageEdited', update);
+    return { update };
+}
+
+// Moderators may delete anyone's message; those deletions go into the moderation log
+async function applyMessageDelete(username, id) {
+    const row = await storage.getMessage(id);
+    if (!row || row.deleted_at) {
+        return { status: 404, error: 'Message not found' };
+    }
+    const moderated = row.username !== username;
+    if (moderated && !moderation.hasRole(await getRole(username), 'moderator')) {
+        return { status: 403, error: 'You can only delete your own messages' };
+    }
+
+    const deletedAt = new Date();
+    await storage.deleteMessage(row, username, deletedAt);
+    if (moderated) {
+        await storage.insertModerationAction({
+            moderator: username,
+            action: 'delete',
+            targetUsername: row.username,
+            messageId: row.id,
+            room: row.room,
+            createdAt: deletedAt
         });
-        
-        await tempConnection.execute(`CREATE DATABASE IF NOT EXISTS ${dbConfig.database}`);
-        await tempConnection.end();
-        
-        // Now connect to the specific database
-        db = await mysql.createConnection(dbConfig);
-        
-        // Create messages table if it doesn't exist
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS messages (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                username VARCHAR(50) NOT NULL,
-                text VARCHAR(255) NOT NULL,
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        console.log('✅ Database connected successfully');
-        console.log('✅ Messages table ready');
-        
+        console.log(`🛡️ ${username} deleted message ${row.id} by ${row.username} in #${row.room}`);
+    }
+
+    const update = { id: row.id, room: row.room, deletedAt };
+    io.to(row.room).emit('messageDeleted', update);
+    if (row.reply_to) {
+        await emitReplyCount(row.room, row.reply_to);
+    }
+    return { update };
+}
+
+// Moderation (rules in moderation.js). Mutes stop a user posting, editing and typing;
+// bans also disconnect them and keep them out, by account or by IP address. Each
+// action is recorded in moderation_log and the affected user is sent `moderated`.
+const MODERATION_ACTIONS = ['mute', 'unmute', 'kick', 'ban', 'unban', 'role'];
+
+async function getRole(username) {
+    const user = await storage.findUser(username);
+    return user ? moderation.effectiveRole(user) : 'member';
+}
+
+function socketIp(socket) {
+    return moderation.normalizeIp(socket.handshake.address);
+}
+
+function toClientSanction(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        username: row.username,
+        ip: row.ip,
+        reason: row.reason,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at
+    };
+}
+
+function toClientModerationAction(row) {
+    return {
+        id: row.id,
+        moderator: row.moderator,
+        action: row.action,
+        username: row.target_username,
+        ip: row.target_ip,
+        messageId: row.message_id,
+        room: row.room,
+        reason: row.reason,
+        expiresAt: row.expires_at,
+        role: row.new_role,
+        createdAt: row.created_at
+    };
+}
+
+// The active ban and mute (or null) for a user and/or the address they use
+async function findSanctions(username, ip) {
+    const rows = await storage.listActiveSanctions({ username, ip, now: new Date() });
+    return {
+        ban: rows.find(row => row.kind === 'ban') || null,
+        mute: rows.find(row => row.kind === 'mute') || null
+    };
+}
+
+// Resolves to { status, error } when the user may not post right now, otherwise null
+async function checkCanPost(username, ip) {
+    const { ban, mute } = await findSanctions(username, ip);
+    if (ban) {
+        return { status: 403, error: 'You are banned' };
+    }
+    if (mute) {
+        const minutes = Math.ceil((new Date(mute.expires_at) - Date.now()) / 60000);
+        return { status: 403, error: `You are muted for ${minutes} more minute${minutes === 1 ? '' : 's'}` };
+    }
+    return null;
+}
+
+// Route middleware for signed-in requests: banned users and addresses get a 403.
+// When the bans cannot be read the request is refused too.
+async function refuseBannedRequest(req, res, next) {
+    try {
+        const { ban } = await findSanctions(req.username, moderation.normalizeIp(req.ip));
+        if (ban) {
+            return res.status(403).json({ error: 'You are banned' });
+        }
     } catch (error) {
-        console.error('❌ Database connection failed:', error.message);
-        console.error('Please make sure MySQL is running and credentials are correct');
-        process.exit(1);
+        console.error('Error checking bans:', error);
+        return res.status(503).json({ error: 'Could not check bans' });
     }
+    return next();
 }
 
-// Store connected users
-const connectedUsers = new Set();
-const typingUsers = new Set();
+const requireUser = [auth.requireAuth, refuseBannedRequest];
+const requireUserFromQuery = [auth.requireAuthFromQuery, refuseBannedRequest];
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log(`👤 User connected: ${socket.id}`);
-    
-    // Handle user joining
-    socket.on('userJoined', async (data) => {
-        const { username } = data;
-        connectedUsers.add(username);
-        socket.username = username;
-        
-        console.log(`👋 ${username} joined the chat`);
-        
-        // Notify all clients that user joined
-        socket.broadcast.emit('userJoined', { username });
-        
-        // Send current user count
-        io.emit('userCount', { count: connectedUsers.size });
+function disconnectSockets(sockets, event, payload) {
+    for (const userSocket of sockets) {
+        userSocket.emit(event, payload);
+        userSocket.disconnect(true);
+    }
+}
+
+function userSockets(username) {
+    return [...(connectedUsers.get(username) || [])].map(id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+// Everyone using a banned address is locked out with the user, so the moderator must
+// outrank each user connected from it and may not ban the address they use themselves
+async function checkAddressBan(moderator, role, moderatorIp, ips) {
+    const selfError = { status: 400, error: 'You cannot ban an address you are using' };
+    if (moderatorIp && ips.includes(moderatorIp)) return selfError;
+
+    const usernames = new Set([...io.sockets.sockets.values()].filter(s => ips.includes(socketIp(s))).map(s => s.username));
+    for (const name of usernames) {
+        if (name.toLowerCase() === moderator.toLowerCase()) return selfError;
+        if (!moderation.outranks(role, await getRole(name))) {
+            return { status: 403, error: `You cannot ban that address: ${name} is connected from it` };
+        }
+    }
+    return null;
+}
+
+// Shared by the moderate socket event, the moderation slash commands and
+// POST /api/moderation/:action. `data` is { username, minutes, reason } for mute, kick
+// and ban (ban also takes includeIp, to ban the addresses the user is connected from,
+// or an ip instead of a username), { username } or { ip } for unmute and unban, and
+// { username, role } for role. moderatorIp is the address the moderator is using.
+// Resolves to { status, error } or { result }.
+async function applyModeration(moderator, action, data = {}, moderatorIp = null) {
+    if (!MODERATION_ACTIONS.includes(action)) {
+        return { status: 404, error: 'Unknown moderation action' };
+    }
+
+    const role = await getRole(moderator);
+    if (!moderation.hasRole(role, action === 'role' ? 'admin' : 'moderator')) {
+        return { status: 403, error: action === 'role' ? 'Only admins can change roles' : 'Only moderators can do that' };
+    }
+
+    const reason = data.reason === undefined || data.reason === null || data.reason === '' ? null : data.reason;
+    if (reason !== null && (typeof reason !== 'string' || reason.length > moderation.MAX_REASON_LENGTH)) {
+        return { status: 400, error: `Reasons are at most ${moderation.MAX_REASON_LENGTH} characters` };
+    }
+
+    // Bans can also target an address on its own
+    let ip = null;
+    let target = null;
+    if ((action === 'ban' || action === 'unban') && data.ip && !data.username) {
+        ip = moderation.normalizeIp(data.ip);
+        if (!moderation.isValidIp(ip)) {
+            return { status: 400, error: 'Invalid IP address' };
+        }
+    } else {
+        target = typeof data.username === 'string' ? await storage.findUser(data.username) : null;
+        if (!target) {
+            return { status: 404, error: 'User not found' };
+        }
+        if (target.username.toLowerCase() === moderator.toLowerCase()) {
+            return { status: 400, error: 'You cannot moderate yourself' };
+        }
+        if (!moderation.outranks(role, moderation.effectiveRole(target))) {
+            return { status: 403, error: `You cannot ${action} ${target.username}` };
+        }
+    }
+
+    const username = target ? target.username : null;
+    const now = new Date();
+    let expiresAt = null;
+    let newRole = null;
+
+    if (action === 'mute') {
+        const minutes = moderation.parseMinutes(data.minutes, moderation.MAX_MUTE_MINUTES);
+        if (!minutes) {
+            return { status: 400, error: `Mutes last 1 to ${moderation.MAX_MUTE_MINUTES} minutes` };
+        }
+        expiresAt = new Date(now.getTime() + minutes * 60000);
+        // A new mute replaces the current one rather than adding to it
+        await storage.liftSanctions({ kind: 'mute', username, liftedBy: moderator, liftedAt: now });
+        await storage.createSanction({ kind: 'mute', username, reason, createdBy: moderator, createdAt: now, expiresAt });
+    } else if (action === 'ban') {
+        const permanent = data.minutes === undefined || data.minutes === null || data.minutes === '' || Number(data.minutes) === 0;
+        const minutes = permanent ? null : moderation.parseMinutes(data.minutes, moderation.MAX_BAN_MINUTES);
+        if (!permanent && !minutes) {
+            return { status: 400, error: `Bans last 1 to ${moderation.MAX_BAN_MINUTES} minutes, or forever without minutes` };
+        }
+        expiresAt = minutes ? new Date(now.getTime() + minutes * 60000) : null;
+
+        const ownSockets = username ? [...io.sockets.sockets.values()].filter(s => s.username === username) : [];
+        const ips = ip ? [ip] : data.includeIp ? [...new Set(ownSockets.map(socketIp))] : [];
+        const refused = ips.length > 0 ? await checkAddressBan(moderator, role, moderatorIp, ips) : null;
+        if (refused) return refused;
+
+        const sockets = [...io.sockets.sockets.values()].filter(s => ownSockets.includes(s) || ips.includes(socketIp(s)));
+        for (const bannedIp of ips.length > 0 ? ips : [null]) {
+            await storage.createSanction({
+                kind: 'ban', username, ip: bannedIp, reason, createdBy: moderator, createdAt: now, expiresAt
+            });
+        }
+        ip = ips.join(', ') || null;
+        disconnectSockets(sockets, 'moderated', { action, by: moderator, reason, expiresAt });
+    } else if (action === 'unmute' || action === 'unban') {
+        const kind = action === 'unmute' ? 'mute' : 'ban';
+        const lifted = await storage.liftSanctions({ kind, username, ip, liftedBy: moderator, liftedAt: now });
+        if (lifted === 0) {
+            return { status: 404, error: `${username || ip} is not ${kind === 'mute' ? 'muted' : 'banned'}` };
+        }
+    } else if (action === 'kick') {
+        disconnectSockets(userSockets(username), 'moderated', { action, by: moderator, reason });
+    } else if (action === 'role') {
+        if (!moderation.isRole(data.role)) {
+            return { status: 400, error: `Roles are ${moderation.ROLES.join(', ')}` };
+        }
+        newRole = data.role;
+        await storage.setUserRole(username, newRole);
+    }
+
+    await storage.insertModerationAction({
+        moderator,
+        action,
+        targetUsername: username,
+        targetIp: ip,
+        reason,
+        expiresAt,
+        newRole,
+        createdAt: now
     });
-    
-    // Handle getting message history
-    socket.on('getMessageHistory', async () => {
-        try {
-            const [rows] = await db.execute(
-                'SELECT * FROM messages ORDER BY timestamp DESC LIMIT 20'
-            );
-            
-            // Reverse to show oldest first
-            const messages = rows.reverse();
-            socket.emit('messageHistory', messages);
-            
-        } catch (error) {
-            console.error('Error fetching message history:', error);
-            socket.emit('error', { message: 'Failed to load message history' });
+    console.log(`🛡️ ${moderator}: ${action} ${username || ip}${reason ? ` (${reason})` : ''}`);
+
+    // Kicked and banned users were told on their way out
+    if (action === 'mute' || action === 'unmute') {
+        emitToUsers([username], 'moderated', { action, by: moderator, reason, expiresAt });
+    } else if (action === 'role') {
+        for (const userSocket of userSockets(username)) {
+            await sendProfile(userSocket);
+        }
+    }
+
+    return { result: { action, username, ip, reason, expiresAt, role: newRole } };
+}
+
+// The signed-in user's account name and role, with the commands that role may run
+async function sendProfile(socket) {
+    const role = await getRole(socket.username);
+    socket.emit('profile', { username: socket.username, role });
+    socket.emit('commandList', commands.list(requires => moderation.hasRole(role, requires)));
+}
+
+// Flood protection (limits in rateLimit.js). A refused socket event gets `error`
+// { message, code: 'rate_limited', event, retryAfter } (seconds); HTTP routes answer
+// 429 with a Retry-After header.
+const rateLimiter = rateLimit.createRateLimiter();
+const RATE_LIMIT_MESSAGES = {
+    message: 'You are sending messages too fast',
+    history: 'You are loading messages too fast',
+    typing: 'You are typing too fast',
+    ai: 'Too many AI requests',
+    auth: 'Too many attempts'
+};
+setInterval(() => rateLimiter.prune(), 60 * 1000).unref();
+
+// Null when the event may go ahead, otherwise { status: 429, error, code, event, retryAfter }
+function checkRateLimit(event, username, ip) {
+    const retryAfter = rateLimiter.consume(event, { username, ip });
+    if (!retryAfter) return null;
+    return {
+        status: 429,
+        error: `${RATE_LIMIT_MESSAGES[event]}; try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}`,
+        code: 'rate_limited',
+        event,
+        retryAfter
+    };
+}
+
+function emitRateLimited(socket, limited) {
+    const { error, code, event, retryAfter } = limited;
+    socket.emit('error', { message: error, code, event, retryAfter });
+}
+
+function sendTooManyRequests(res, limited) {
+    res.set('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: limited.error });
+}
+
+// Counts one AI request against the user's daily quota (AI_DAILY_QUOTA), or throws a
+// 429 error carrying retryAfter, the seconds until the quota resets at midnight UTC
+async function useAiQuota(username) {
+    if (!rateLimit.AI_DAILY_QUOTA) return;
+    const now = new Date();
+    const counted = await storage.countAiRequest({
+        username,
+        day: rateLimit.quotaDay(now),
+        limit: rateLimit.AI_DAILY_QUOTA,
+        usedAt: now
+    });
+    if (!counted) {
+        const error = new Error(`You have used all ${rateLimit.AI_DAILY_QUOTA} of today's AI requests`);
+        error.status = 429;
+        error.code = 'ai_quota';
+        error.retryAfter = rateLimit.secondsUntilQuotaReset(now);
+        throw error;
+    }
+}
+
+// Message filters (filters/) for room messages, /me, /ai, edits and direct messages. Blocked text is
+// refused with the filter's reason; flagged messages are stored and wait in the review
+// queue (GET /api/moderation/flags) until a moderator approves or removes them.
+const messageFilters = createFilterPipeline(createConfiguredFilters());
+const FLAG_RESOLUTIONS = { approve: 'approved', remove: 'removed' };
+
+// Filters that change the text can make it longer (e.g. "[link removed]" for a short
+// link), so the length limit is checked again on what would be stored
+function checkFilteredLength(outcome) {
+    if (outcome.blocked || outcome.text.length <= MAX_MESSAGE_LENGTH) return outcome;
+    return { blocked: true, filter: 'length', reason: `Your message would be over ${MAX_MESSAGE_LENGTH} characters once filtered` };
+}
+
+// Resolves to { status, error } when a filter blocks the text, otherwise to
+// { text, flags, record } with the text to store, the flags to record once it is stored
+// and record() to call then. skip names filters to leave out.
+async function filterRoomMessage({ username, room, text, edit = false, skip }) {
+    const outcome = checkFilteredLength(await messageFilters.run({ username, room, text, edit }, { skip }));
+    if (outcome.blocked) {
+        console.log(`🚫 The ${outcome.filter} filter refused a message from ${username} in #${room}`);
+        return { status: 400, error: outcome.reason };
+    }
+    return { text: outcome.text, flags: outcome.flags, record: outcome.record };
+}
+
+// Direct messages go through the same filters. They are private, so flags on them are
+// only logged: moderators review room messages, not direct conversations.
+async function filterDirectMessage({ sender, recipient, text }) {
+    const outcome = checkFilteredLength(await messageFilters.run({ username: sender, room: null, recipient, text, edit: false }));
+    if (outcome.blocked) {
+        console.log(`🚫 The ${outcome.filter} filter refused a direct message from ${sender} to ${recipient}`);
+        return { status: 400, error: outcome.reason };
+    }
+    if (outcome.flags.length > 0) {
+        console.log(`🚩 Direct message from ${sender} to ${recipient} flagged by ${outcome.flags.map(flag => flag.filter).join(', ')}`);
+    }
+    return { text: outcome.text, record: outcome.record };
+}
+
+async function recordMessageFlags(messageId, { username, room, text }, flags) {
+    for (const { filter, reason } of flags) {
+        await storage.insertMessageFlag({ messageId, room, username, text, filter, reason, createdAt: new Date() });
+    }
+    if (flags.length > 0) {
+        console.log(`🚩 Message ${messageId} from ${username} in #${room} flagged by ${flags.map(flag => flag.filter).join(', ')}`);
+    }
+}
+
+// Approving or removing a flagged message resolves every open flag on it. Removal
+// deletes the message (logged like any moderator deletion) unless it is already gone.
+// Resolves to { status, error } or { result }.
+async function reviewMessageFlag(moderator, id, action) {
+    if (!moderation.hasRole(await getRole(moderator), 'moderator')) {
+        return { status: 403, error: 'Only moderators can do that' };
+    }
+    if (!FLAG_RESOLUTIONS[action]) {
+        return { status: 400, error: 'Review with approve or remove' };
+    }
+    const flag = id ? await storage.getMessageFlag(id) : null;
+    if (!flag) {
+        return { status: 404, error: 'Flag not found' };
+    }
+    if (flag.resolution) {
+        return { status: 409, error: `That message was already ${flag.resolution}` };
+    }
+
+    const reviewedAt = new Date();
+    if (action === 'remove') {
+        const removal = await applyMessageDelete(moderator, flag.message_id);
+        if (removal.error && removal.status !== 404) return removal;
+    } else {
+        await storage.insertModerationAction({
+            moderator,
+            action: 'approve',
+            targetUsername: flag.username,
+            messageId: flag.message_id,
+            room: flag.room,
+            createdAt: reviewedAt
+        });
+    }
+    const resolved = await storage.resolveMessageFlags({
+        messageId: flag.message_id,
+        resolution: FLAG_RESOLUTIONS[action],
+        reviewedBy: moderator,
+        reviewedAt
+    });
+
+    console.log(`🛡️ ${moderator}: ${action} flagged message ${flag.message_id} by ${flag.username}`);
+    return { result: { messageId: flag.message_id, resolution: FLAG_RESOLUTIONS[action], resolved } };
+}
+
+function toClientMessageFlag(row) {
+    return {
+        id: row.id,
+        messageId: row.message_id,
+        room: row.room,
+        username: row.username,
+        text: row.text,
+        filter: row.filter,
+        reason: row.reason,
+        createdAt: row.created_at,
+        messageDeleted: Boolean(row.message_deleted_at),
+        resolution: row.resolution,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at
+    };
+}
+
+// AI conversations are private: other users' conversations look like missing ones
+const MAX_AI_PROMPT_LENGTH = 4000;
+const MAX_AI_TITLE_LENGTH = 100;
+
+function toClientAiConversation(row) {
+    return { id: row.id, title: row.title, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+function toClientAiMessage(row) {
+    return { id: row.id, role: row.role, content: row.content, createdAt: row.created_at };
+}
+
+async function getOwnAiConversation(username, id) {
+    const row = id ? await storage.getAiConversation(id) : null;
+    return row && row.username === username ? row : null;
+}
+
+// New conversations are named after the start of their first prompt
+function aiConversationTitle(prompt) {
+    const title = prompt.replace(/\s+/g, ' ').trim();
+    return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+}
+
+// One prompt and reply in a stored conversation, shared by the aiPrompt socket event
+// and /api/ai-chat. An empty conversationId starts a new conversation, and provider
+// and model fall back to the configured defaults. The context is built from the
+// stored history, not from anything the client sends. Resolves to { status, error }
+// when the request is not allowed, otherwise to
+// { conversation, text, cancelled, provider, model }. A stopped reply keeps the text
+// that arrived. Provider failures and a used-up daily quota are thrown as errors
+// carrying an HTTP status.
+async function runAiTurn(username, { conversationId, prompt, provider, model }, { onChunk, signal } = {}) {
+    if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_AI_PROMPT_LENGTH) {
+        return { status: 400, error: 'Invalid prompt' };
+    }
+
+    // Reject an unknown or unconfigured provider before touching the conversation
+    ai.selectProvider(provider, model);
+
+    let conversation = null;
+    let history = [];
+    if (conversationId) {
+        conversation = await getOwnAiConversation(username, parseId(conversationId));
+        if (!conversation) {
+            return { status: 404, error: 'Conversation not found' };
+        }
+    }
+
+    // Only valid requests count, and before any model call (folding old turns uses one too)
+    await useAiQuota(username);
+
+    if (conversation) {
+        const messages = (await storage.listAiMessages(conversation.id))
+            .filter(m => !conversation.summarized_until || m.id > conversation.summarized_until);
+        const context = await ai.prepareContext({ summary: conversation.summary, messages, provider, model });
+        if (context.summarizedUntil) {
+            await storage.updateAiSummary(conversation.id, context.summary, context.summarizedUntil);
+        }
+        history = context.history;
+    }
+
+    const askedAt = new Date();
+    const reply = await ai.streamReply({ prompt, history, onChunk, signal, provider, model });
+    const { text, cancelled } = reply;
+
+    // Nothing is stored when the reply fails, so a retry does not repeat the prompt
+    const id = conversation
+        ? conversation.id
+        : await storage.createAiConversation(username, aiConversationTitle(prompt), askedAt);
+    await storage.insertAiMessage({ conversationId: id, role: 'user', content: prompt, createdAt: askedAt });
+    if (text.trim()) {
+        await storage.insertAiMessage({ conversationId: id, role: 'assistant', content: text, createdAt: new Date() });
+    }
+
+    return {
+        conversation: toClientAiConversation(await storage.getAiConversation(id)),
+        text,
+        cancelled,
+        provider: reply.provider,
+        model: reply.model
+    };
+}
+
+// Reactions: any short run of emoji characters (covers skin tones and ZWJ sequences)
+const REACTION_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const MAX_REACTION_LENGTH = 16;
+
+function isValidReaction(emoji) {
+    return typeof emoji === 'string' && emoji.length <= MAX_REACTION_LENGTH && REACTION_PATTERN.test(emoji);
+}
+
+// Groups reaction rows into { [messageId]: [{ emoji, count, users }] }, in first-use order
+function groupReactions(rows) {
+    const byMessage = {};
+    for (const row of rows) {
+        const reactions = byMessage[row.message_id] || (byMessage[row.message_id] = []);
+        let reaction = reactions.find(r => r.emoji === row.emoji);
+        if (!reaction) {
+            reaction = { emoji: row.emoji, count: 0, users: [] };
+            reactions.push(reaction);
+        }
+        reaction.count++;
+        reaction.users.push(row.username);
+    }
+    return byMessage;
+}
+
+async function attachReactions(messages) {
+    if (messages.length === 0) return messages;
+
+    const rows = await storage.listReactions(messages.map(message => message.id));
+    const byMessage = groupReactions(rows);
+    return messages.map(message => ({ ...message, reactions: byMessage[message.id] || [] }));
+}
+
+
+async function attachFiles(messages) {
+    const ids = messages.filter(message => !message.deleted).map(message => message.id);
+    if (ids.length === 0) return messages.map(message => ({ ...message, attachments: [] }));
+
+    const rows = await storage.listAttachments(ids);
+    const byMessage = {};
+    for (const row of rows) {
+        (byMessage[row.message_id] || (byMessage[row.message_id] = [])).push(uploads.toClientAttachment(row));
+    }
+    return messages.map(message => ({ ...message, attachments: byMessage[message.id] || [] }));
+}
+
+// The parent a reply quotes; deleted parents are quoted without their text
+function toQuote(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        username: row.username,
+        text: row.deleted_at ? '' : row.text,
+        action: Number(row.action) || 0,
+        deleted: Boolean(row.deleted_at)
+    };
+}
+
+// Threads: how many replies each message has, and on replies a quote of their parent
+async function attachThreads(messages) {
+    if (messages.length === 0) return messages;
+
+    const counts = await storage.countReplies(messages.map(message => message.id));
+    const parentIds = [...new Set(messages.map(message => message.reply_to).filter(Boolean))];
+    const parents = await storage.getMessages(parentIds);
+
+    const countsById = new Map(counts.map(row => [row.reply_to, row]));
+    const parentsById = new Map(parents.map(row => [row.id, row]));
+    return messages.map(message => {
+        const count = countsById.get(message.id);
+        return {
+            ...message,
+            replyCount: count ? Number(count.reply_count) : 0,
+            lastReplyAt: count ? count.last_reply_at : null,
+            quote: message.reply_to ? toQuote(parentsById.get(message.reply_to)) : null
+        };
+    });
+}
+
+// Everything clients show with stored messages: tombstones, reactions, files and threads
+async function toClientMessages(rows) {
+    return attachThreads(await attachFiles(await attachReactions(rows.map(toClientMessage))));
+}
+
+// Tells the room how many replies a thread has now
+async function emitReplyCount(room, parentId) {
+    const [count] = await storage.countReplies([parentId]);
+    io.to(room).emit('replyCount', {
+        id: parentId,
+        room,
+        replyCount: count ? Number(count.reply_count) : 0,
+        lastReplyAt: count ? count.last_reply_at : null
+    });
+}
+
+// A thread's first message and a page of its replies, oldest first; asking for a
+// reply opens its parent's thread. Resolves to null when the message does not exist.
+async function getThreadPage(id, after, limit) {
+    let parent = await storage.getMessage(id);
+    if (parent && parent.reply_to) {
+        parent = await storage.getMessage(parent.reply_to);
+    }
+    if (!parent) return null;
+
+    // Fetch one extra row to learn whether more replies follow
+    const rows = await storage.listReplies(parent.id, after, limit + 1);
+    const hasMore = rows.length > limit;
+    const [message, ...replies] = await toClientMessages([parent, ...rows.slice(0, limit)]);
+    return {
+        id: parent.id,
+        room: parent.room,
+        parent: message,
+        replies,
+        hasMore,
+        nextAfter: hasMore && replies.length > 0 ? replies[replies.length - 1].id : null
+    };
+}
+
+// Store connected users (username -> Set of socket ids, one per open tab)
+const connectedUsers = new Map();
+
+// Per-room membership and typing state. Members are counted per tab
+// (room name -> Map of username -> number of their sockets in the room).
+const roomMembers = new Map();
+const roomTyping = new Map(); // room name -> Set of usernames
+
+// Presence: a user is online while any of their tabs is visible and in use, away while
+// every tab reports being hidden or idle (on visibility changes and with the 30s ping),
+// and offline once the last tab closes. Changes are broadcast as presenceUpdate.
+const presence = new Map(); // username -> { status, since } for users online or away
+
+function currentStatus(username) {
+    const sockets = connectedUsers.get(username);
+    if (!sockets) return 'offline';
+    for (const socketId of sockets) {
+        const userSocket = io.sockets.sockets.get(socketId);
+        if (userSocket && !userSocket.away) return 'online';
+    }
+    return 'away';
+}
+
+// lastSeenAt is null while online, when the user went away, or when they left
+function toClientPresence(username, status, lastSeenAt) {
+    return { username, nickname: nicknames.get(username) || null, status, lastSeenAt };
+}
+
+function getPresence(username) {
+    const entry = presence.get(username);
+    if (!entry) return toClientPresence(username, 'offline', null);
+    return toClientPresence(username, entry.status, entry.status === 'away' ? entry.since : null);
+}
+
+function updatePresence(username) {
+    const status = currentStatus(username);
+    const previous = presence.get(username);
+    if (previous ? previous.status === status : status === 'offline') return;
+
+    const since = new Date();
+    if (status === 'offline') {
+        presence.delete(username);
+    } else {
+        presence.set(username, { status, since });
+    }
+    io.emit('presenceUpdate', toClientPresence(username, status, status === 'online' ? null : since));
+}
+
+// `data` is { away } from the client's presence reports and keep-alive pings
+function reportActivity(socket, data) {
+    if (!data || typeof data.away !== 'boolean') return;
+    socket.away = data.away;
+    if (connectedUsers.has(socket.username)) updatePresence(socket.username);
+}
+
+function addUserSocket(username, socketId) {
+    if (!connectedUsers.has(username)) connectedUsers.set(username, new Set());
+    connectedUsers.get(username).add(socketId);
+    updatePresence(username);
+}
+
+// Returns false when the socket was never registered (e.g. userLeft then disconnect)
+function removeUserSocket(username, socketId) {
+    const sockets = connectedUsers.get(username);
+    if (!sockets || !sockets.delete(socketId)) return false;
+    if (sockets.size === 0) {
+        connectedUsers.delete(username);
+        nicknames.delete(username);
+        // "Catch me up" summarizes what happened after this
+        storage.setLastSeen(username, new Date()).catch(error => {
+            console.error('Error saving last seen time:', error);
+        });
+    }
+    updatePresence(username);
+    return true;
+}
+
+// Deliver only to the sockets that belong to the given users
+function emitToUsers(usernames, event, payload) {
+    const socketIds = [];
+    for (const username of new Set(usernames)) {
+        const sockets = connectedUsers.get(username);
+        if (sockets) socketIds.push(...sockets);
+    }
+    if (socketIds.length > 0) {
+        io.to(socketIds).emit(event, payload);
+    }
+}
+
+function toClientRoom(row) {
+    return {
+        name: row.name,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        aiEnabled: Boolean(Number(row.ai_enabled)),
+        userCount: roomMembers.has(row.name) ? roomMembers.get(row.name).size : 0
+    };
+}
+
+// Room settings may be changed by the room's creator, or by anyone for rooms the
+// server created (such as #general). Resolves to { status, error } or { update }.
+async function applyRoomSettings(username, name, settings) {
+    const room = normalizeRoomName(name);
+    if (!room || !settings || typeof settings.aiEnabled !== 'boolean') {
+        return { status: 400, error: 'Invalid room settings' };
+    }
+
+    const row = await storage.getRoom(room);
+    if (!row) {
+        return { status: 404, error: `Room #${room} does not exist` };
+    }
+    if (row.created_by !== 'System' && row.created_by !== username) {
+        return { status: 403, error: `Only ${row.created_by} can change the settings of #${room}` };
+    }
+
+    await storage.setRoomAiEnabled(room, settings.aiEnabled);
+    console.log(`⚙️  ${username} turned @ai ${settings.aiEnabled ? 'on' : 'off'} in #${room}`);
+
+    // Every client lists every room, so everyone hears about the change
+    const update = { room, aiEnabled: settings.aiEnabled, changedBy: username };
+    io.emit('roomSettings', update);
+    return { update };
+}
+
+// @ai mentions: the assistant answers in the room with a message that replies to the mention
+const AI_USERNAME = 'AI';
+const AI_MENTION_PATTERN = /(^|\s)@ai\b/i;
+const AI_ROOM_CONTEXT_SIZE = 20;
+const aiBusyRooms = new Set(); // rooms where a mention is being answered
+
+function mentionsAi(text) {
+    return AI_MENTION_PATTERN.test(text);
+}
+
+// Room replies must fit in a message, so long answers are cut short
+function toRoomText(text) {
+    const trimmed = text.trim();
+    return trimmed.length > MAX_MESSAGE_LENGTH ? `${trimmed.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : trimmed;
+}
+
+// Answers one mention at a time per room, using the messages before it as context.
+// Mentions in rooms that turned the assistant off are ignored; failures are
+// reported to the author only.
+async function answerAiMention(socket, mention) {
+    const { room } = mention;
+    if (aiBusyRooms.has(room)) {
+        socket.emit('error', { message: `AI is still answering an earlier question in #${room}` });
+        return;
+    }
+
+    aiBusyRooms.add(room);
+    let typing = false;
+    try {
+        const settings = await storage.getRoom(room);
+        if (!settings || !Number(settings.ai_enabled)) return;
+
+        // The answer counts against the quota of whoever asked
+        await useAiQuota(mention.username);
+
+        io.to(room).emit('typing', { username: AI_USERNAME, room });
+        typing = true;
+        const history = [{
+            role: 'system',
+            content: `You are taking part in the group chat #${room}. Messages start with their author's name. ` +
+                'Answer the latest one briefly; Markdown (bold, lists, code blocks, links) is shown formatted.'
+        }];
+        const rows = await storage.listMessages(room, mention.id, AI_ROOM_CONTEXT_SIZE);
+        for (const row of rows.reverse()) {
+            if (row.deleted_at) continue;
+            history.push(row.username === AI_USERNAME
+                ? { role: 'assistant', content: row.text }
+                : { role: 'user', content: `${row.username}: ${row.text}` });
+        }
+
+        const { text } = await ai.streamReply({ prompt: `${mention.username}: ${mention.text}`, history });
+
+        // The answer is filtered like any room message, except for asking the AI about itself
+        const filtered = await filterRoomMessage({ username: AI_USERNAME, room, text: toRoomText(text), skip: ['ai'] });
+        if (filtered.error) {
+            socket.emit('error', { message: 'AI could not answer: the message filters refused its reply' });
+            return;
+        }
+
+        // The answer starts a thread on the mention, or joins the thread the mention is in
+        const parent = mention.parent || await storage.getMessage(mention.id);
+        const id = await postRoomMessage({ username: AI_USERNAME, text: filtered.text, room, timestamp: new Date(), parent });
+        await recordMessageFlags(id, { username: AI_USERNAME, room, text: filtered.text }, filtered.flags);
+        filtered.record();
+
+        console.log(`🤖 AI answered ${mention.username} in #${room}`);
+
+    } catch (error) {
+        if (!error.status) console.error('Error answering @ai mention:', error);
+        socket.emit('error', { message: `AI could not answer: ${error.status ? error.message : 'something went wrong'}` });
+    } finally {
+        aiBusyRooms.delete(room);
+        if (typing) io.to(room).emit('stopTyping', { username: AI_USERNAME, room });
+    }
+}
+
+function normalizeRoomName(name) {
+    if (typeof name !== 'string') return null;
+    const room = name.trim().toLowerCase();
+    return ROOM_NAME_PATTERN.test(room) ? room : null;
+}
+
+function getRoomSet(map, room) {
+    if (!map.has(room)) map.set(room, new Set());
+    return map.get(room);
+}
+
+// True when this is the user's first tab in the room
+function addRoomMember(room, username) {
+    if (!roomMembers.has(room)) roomMembers.set(room, new Map());
+    const members = roomMembers.get(room);
+    members.set(username, (members.get(username) || 0) + 1);
+    return members.get(username) === 1;
+}
+
+// True when the user has no tabs left in the room
+function removeRoomMember(room, username) {
+    const members = roomMembers.get(room);
+    if (!members || !members.has(username)) return false;
+
+    const count = members.get(username) - 1;
+    if (count > 0) {
+        members.set(username, count);
+        return false;
+    }
+    members.delete(username);
+    if (members.size === 0) roomMembers.delete(room);
+    return true;
+}
+
+function listRoomMembers(room) {
+    return roomMembers.has(room) ? [...roomMembers.get(room).keys()].sort() : [];
+}
+
+function emitRoomCount(room) {
+    const count = roomMembers.has(room) ? roomMembers.get(room).size : 0;
+    io.to(room).emit('userCount', { room, count });
+}
+
+// Adds the socket to the room and tells the others; false when it was already in it
+function enterRoom(socket, room) {
+    if (socket.joinedRooms.has(room)) return false;
+
+    socket.join(room);
+    socket.joinedRooms.add(room);
+
+    console.log(`🚪 ${socket.username} joined #${room}`);
+
+    // Another tab of the same user joining changes nothing for the others
+    if (addRoomMember(room, socket.username)) {
+        socket.to(room).emit('userJoined', { username: socket.username, room });
+        emitRoomCount(room);
+    }
+    return true;
+}
+
+function joinRoom(socket, room) {
+    enterRoom(socket, room);
+    socket.emit('joinedRoom', { room, members: listRoomMembers(room).map(getPresence) });
+}
+
+// Session resumption. After a reconnect the client sends the rooms it had joined and
+// the newest message id it received (ids grow across all rooms). Each room is joined
+// again and answers with the messages sent since, or with `reset: true` when the
+// client saw nothing yet or missed too much and should load the latest page instead.
+const MAX_REPLAYED_MESSAGES = 100;
+
+async function resumeRoom(socket, room, lastSeenId) {
+    enterRoom(socket, room);
+
+    let messages = [];
+    let reset = !lastSeenId;
+    if (lastSeenId) {
+        const rows = await storage.listMessagesAfter(room, lastSeenId, MAX_REPLAYED_MESSAGES + 1);
+        if (rows.length > MAX_REPLAYED_MESSAGES) {
+            reset = true;
+        } else if (rows.length > 0) {
+            messages = await toClientMessages(rows);
+            await advanceReceipt(room, socket.username, { deliveredId: rows[rows.length - 1].id });
+        }
+    }
+
+    return {
+        room,
+        messages,
+        reset,
+        receipts: await listRoomReceipts(room),
+        members: listRoomMembers(room).map(getPresence),
+        typing: [...(roomTyping.get(room) || [])].filter(username => username !== socket.username)
+    };
+}
+
+function leaveRoom(socket, room) {
+    if (!socket.joinedRooms.has(room)) return;
+
+    socket.leave(room);
+    socket.joinedRooms.delete(room);
+
+    console.log(`🚪 ${socket.username} left #${room}`);
+
+    socket.emit('leftRoom', { room });
+
+    // The user is still here while another of their tabs has the room open
+    if (removeRoomMember(room, socket.username)) {
+        const typing = getRoomSet(roomTyping, room);
+        if (typing.delete(socket.username)) {
+            socket.to(room).emit('stopTyping', { username: socket.username, room });
+        }
+        if (typing.size === 0) roomTyping.delete(room);
+
+        socket.to(room).emit('userLeft', { username: socket.username, room });
+        emitRoomCount(room);
+    }
+}
+
+function leaveAllRooms(socket) {
+    for (const room of [...socket.joinedRooms]) {
+        leaveRoom(socket, room);
+    }
+}
+
+// Saves a room message and broadcasts it to the room. `parent` is the stored
+// message that starts the thread it replies to; `action` marks "/me" actions.
+async function postRoomMessage({ username, text, room, timestamp, attachments = [], clientId = null, parent = null, action = false }) {
+    const replyTo = parent ? parent.id : null;
+    const messageId = await storage.insertMessage({ username, text, room, timestamp, replyTo, clientId, action });
+    await storage.linkAttachments(messageId, attachments.map(attachment => attachment.id));
+
+    console.log(`💬 Message from ${username} in #${room}: ${text.substring(0, 50)}...`);
+
+    io.to(room).emit('message', {
+        id: messageId,
+        username,
+        text,
+        room,
+        timestamp,
+        clientId,
+        replyTo,
+        action: action ? 1 : 0,
+        quote: toQuote(parent),
+        replyCount: 0,
+        attachments: attachments.map(uploads.toClientAttachment)
+    });
+    if (parent) {
+        await emitReplyCount(room, parent.id);
+    }
+    return messageId;
+}
+
+// Client message ids make sending idempotent: the client keeps unacknowledged
+// messages in an outbox and resends them with the same id after reconnecting
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Validates and posts a `message` event. Resolves to { status, error } when it is
+// refused, otherwise to { id } of the stored message ({ id, duplicate: true } if this
+// client id was already stored, { id, text } if the filters changed the text) or
+// { command: true } for a slash command.
+async function sendRoomMessage(socket, data) {
+    const typed = typeof data.text === 'string' ? data.text : '';
+    // A leading "//" sends text that starts with a slash instead of running a command
+    const text = typed.startsWith('//') ? typed.slice(1) : typed;
+    const command = commands.parse(typed);
+    const username = socket.username;
+    const room = normalizeRoomName(data.room) || DEFAULT_ROOM;
+    const clientId = data.clientId === undefined || data.clientId === null ? null : data.clientId;
+    const replyTo = data.replyTo === undefined || data.replyTo === null ? null : parseId(data.replyTo);
+    const attachmentIds = Array.isArray(data.attachments)
+        ? [...new Set(data.attachments.map(parseId).filter(Boolean))]
+        : [];
+
+    // Floods are turned away before they reach the database
+    const limited = checkRateLimit('message', username, socketIp(socket));
+    if (limited) return limited;
+
+    // Muted and banned users cannot post or run commands
+    const restriction = await checkCanPost(username, socketIp(socket));
+    if (restriction) return restriction;
+
+    // Validate message data (text may be empty when files are attached)
+    if ((!text && attachmentIds.length === 0) || text.length > MAX_MESSAGE_LENGTH) {
+        return { status: 400, error: 'Invalid message data' };
+    }
+    if (clientId !== null && (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId))) {
+        return { status: 400, error: 'Invalid client message id' };
+    }
+    if (replyTo === null && data.replyTo !== undefined && data.replyTo !== null) {
+        return { status: 400, error: 'Invalid reply' };
+    }
+    if (attachmentIds.length > uploads.MAX_ATTACHMENTS_PER_MESSAGE) {
+        return { status: 400, error: `At most ${uploads.MAX_ATTACHMENTS_PER_MESSAGE} files per message` };
+    }
+    if (!socket.joinedRooms.has(room)) {
+        return { status: 403, error: `Join #${room} before posting to it` };
+    }
+
+    // Slash commands run instead of being stored as typed
+    if (command) {
+        if (attachmentIds.length > 0) {
+            return { status: 400, error: 'Commands cannot carry attachments' };
+        }
+        await runCommand(socket, room, command);
+        return { command: true };
+    }
+
+    // A resend of a message that was stored but whose acknowledgement got lost
+    if (clientId) {
+        const existing = await storage.findMessageByClientId(username, clientId);
+        if (existing) return { id: existing.id, duplicate: true };
+    }
+
+    // Attachments must be this user's own uploads that are not yet linked to a message
+    const attachments = await storage.listPendingAttachments(username, attachmentIds);
+    if (attachments.length !== attachmentIds.length) {
+        return { status: 400, error: 'Attachment not found' };
+    }
+
+    // Threads are one level deep: replying to a reply joins its parent's thread
+    let parent = null;
+    if (replyTo) {
+        const target = await storage.getMessage(replyTo);
+        if (!target || target.room !== room || target.deleted_at) {
+            return { status: 404, error: 'The message you replied to was not found' };
+        }
+        parent = target.reply_to ? (await storage.getMessage(target.reply_to)) || target : target;
+    }
+
+    // The filters may change the text, flag it for review or refuse it
+    const filtered = text ? await filterRoomMessage({ username, room, text }) : { text, flags: [], record() {} };
+    if (filtered.error) return filtered;
+    const stored = filtered.text;
+
+    // Save the message and broadcast it to everyone in the room. The server's clock stamps it:
+    // catch-up and search rely on the timestamps, and an outbox resend may come much later.
+    let messageId;
+    try {
+        messageId = await postRoomMessage({ username, text: stored, room, timestamp: new Date(), attachments, clientId, parent });
+    } catch (error) {
+        // Two sends of the same message raced; the unique index let only one in
+        const existing = clientId && await storage.findMessageByClientId(username, clientId);
+        if (!existing) throw error;
+        return { id: existing.id, duplicate: true };
+    }
+    await recordMessageFlags(messageId, { username, room, text: stored }, filtered.flags);
+    // Only now does it count towards the spam filter's repeats
+    filtered.record();
+
+    // The reply arrives later as its own message; it handles its own errors
+    if (mentionsAi(stored)) {
+        answerAiMention(socket, { id: messageId, username, text: stored, room, parent });
+    }
+    return stored === text ? { id: messageId } : { id: messageId, text: stored };
+}
+
+// "/me waves" is stored as "waves" with the action flag
+function toTranscriptLine(row) {
+    return Number(row.action) ? `* ${row.username} ${row.text}` : `${row.username}: ${row.text}`;
+}
+
+// Room summaries ("catch me up" and /summarize). A summary is cached by the first and
+// last message it covers, a fingerprint of the transcript it was written from and the
+// model that wrote it, so asking again for the same messages is free; editing or
+// deleting a message in the range drops the cached copy.
+const MAX_SUMMARY_MESSAGES = 200;
+
+// `rows` are oldest first. Summaries the provider has to write count against the
+// requesting user's daily AI quota; cached and extractive ones are free.
+async function summarizeRoomMessages(room, rows, username, { provider, model } = {}) {
+    const selected = ai.selectProvider(provider, model);
+    const lines = rows.map(toTranscriptLine);
+    const range = {
+        room,
+        firstMessageId: rows[0].id,
+        lastMessageId: rows[rows.length - 1].id,
+        fingerprint: crypto.createHash('sha256').update(lines.join('\n')).digest('hex'),
+        provider: selected.name,
+        model: selected.model
+    };
+
+    const cached = await storage.getChatSummary(range);
+    if (cached) {
+        return { summary: cached.summary, provider: range.provider, model: range.model, cached: true };
+    }
+
+    if (ai.summarizesWithModel(selected)) {
+        await useAiQuota(username);
+    }
+    const result = await ai.summarizeChat(lines, { provider: range.provider, model: range.model });
+    await storage.saveChatSummary({ ...range, summary: result.summary, createdAt: new Date() });
+    return { ...result, cached: false };
+}
+
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value);
+    return Number.isNaN(time.getTime()) ? undefined : time;
+}
+
+// Summarizes a room between `from` and `to` (ISO times, to defaults to now). Without
+// `from` it covers what the user missed since they were last online, or the latest
+// messages for someone who has never left. Only the newest MAX_SUMMARY_MESSAGES count.
+async function catchUp(username, { room: roomName, from, to, provider, model }) {
+    const room = normalizeRoomName(roomName);
+    if (!room || !(await storage.roomExists(room))) {
+        return { status: 404, error: 'Room not found' };
+    }
+
+    const start = parseTime(from);
+    const end = parseTime(to) || new Date();
+    if (start === undefined || parseTime(to) === undefined) {
+        return { status: 400, error: 'from and to must be dates' };
+    }
+    if (start && start >= end) {
+        return { status: 400, error: 'from must be before to' };
+    }
+
+    const lastSeen = start ? null : await storage.getLastSeen(username);
+    const since = start ? 'range' : (lastSeen ? 'lastSeen' : 'recent');
+    const rangeStart = start || lastSeen;
+
+    // One extra row tells whether older messages were left out
+    const rows = await storage.listMessagesBetween(room, rangeStart, end, MAX_SUMMARY_MESSAGES + 1);
+    const truncated = rows.length > MAX_SUMMARY_MESSAGES;
+    const messages = rows.slice(0, MAX_SUMMARY_MESSAGES).reverse();
+
+    const result = { room, since, from: rangeStart, to: end, messageCount: messages.length, truncated };
+    if (messages.length === 0) {
+        return { ...result, summary: null, provider: null, model: null, cached: false };
+    }
+    return { ...result, ...(await summarizeRoomMessages(room, messages, username, { provider, model })) };
+}
+
+// Slash commands (see commands.js). Nicknames only last while the user is connected;
+// they show up in /who and announcements, but messages keep the account name.
+const commands = createCommandRegistry();
+const nicknames = new Map(); // username -> nickname
+const NICKNAME_PATTERN = /^[\p{L}\p{N} ._-]{1,30}$/u;
+const DEFAULT_SUMMARIZE_COUNT = 20;
+const MAX_SUMMARIZE_COUNT = 100;
+
+function displayName(username) {
+    return nicknames.has(username) ? `${nicknames.get(username)} (${username})` : username;
+}
+
+function whoName(username) {
+    const away = presence.has(username) && presence.get(username).status === 'away';
+    return away ? `${displayName(username)} · away` : displayName(username);
+}
+
+commands.register('help', {
+    description: 'List the available commands',
+    run(context) {
+        const available = commands.list(requires => moderation.hasRole(context.role, requires));
+        context.reply(available.map(command => `${command.usage} — ${command.description}`).join('\n'));
+    }
+});
+
+commands.register('nick', {
+    usage: '/nick [name]',
+    description: 'Set a nickname for this session, or clear it',
+    run(context, args) {
+        const { username } = context;
+        if (args && !NICKNAME_PATTERN.test(args)) {
+            context.reply('Nicknames are 1-30 letters, numbers, spaces, ".", "-" or "_"');
+            return;
+        }
+
+        const previous = displayName(username);
+        if (args) {
+            nicknames.set(username, args);
+        } else {
+            nicknames.delete(username);
+        }
+
+        // Announce it in every room the user has open in any tab
+        const rooms = new Set();
+        for (const socketId of connectedUsers.get(username) || []) {
+            const userSocket = io.sockets.sockets.get(socketId);
+            if (userSocket) userSocket.joinedRooms.forEach(room => rooms.add(room));
+        }
+        for (const room of rooms) {
+            io.to(room).emit('notice', { room, text: `${previous} is now known as ${displayName(username)}` });
+        }
+        io.emit('presenceUpdate', getPresence(username));
+    }
+});
+
+// Posts a message a command wrote for the user, through the message filters like
+// any other. Resolves to { id, text } of the stored message, or to null when a filter
+// refused it (the user is told why).
+async function postCommandMessage(context, text, { action = false } = {}) {
+    const { username, room } = context;
+    const filtered = await filterRoomMessage({ username, room, text });
+    if (filtered.error) {
+        context.reply(filtered.error);
+        return null;
+    }
+
+    const id = await postRoomMessage({ username, text: filtered.text, room, timestamp: new Date(), action });
+    await recordMessageFlags(id, { username, room, text: filtered.text }, filtered.flags);
+    filtered.record();
+    return { id, text: filtered.text };
+}
+
+commands.register('me', {
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me waves',
+    async run(context, args) {
+        if (!args) {
+            context.reply('Usage: /me <action>');
+            return;
+        }
+        await postCommandMessage(context, args, { action: true });
+    }
+});
+
+commands.register('who', {
+    description: 'List who is online and who is in this room',
+    run(context) {
+        const online = [...connectedUsers.keys()].sort().map(whoName);
+        const here = listRoomMembers(context.room).map(whoName);
+        context.reply(`Online (${online.length}): ${online.join(', ')}\nIn #${context.room} (${here.length}): ${here.join(', ')}`);
+    }
+});
+
+commands.register('clear', {
+    description: 'Clear your chat window (the history is kept)',
+    run(context) {
+        context.clear();
+    }
+});
+
+commands.register('ai', {
+    usage: '/ai <prompt>',
+    description: 'Ask the assistant; everyone in the room sees the answer',
+    async run(context, args) {
+        const { username, room } = context;
+        if (!args) {
+            context.reply('Usage: /ai <prompt>');
+            return;
+        }
+
+        const settings = await storage.getRoom(room);
+        if (!settings || !Number(settings.ai_enabled)) {
+            context.reply(`@ai is turned off in #${room}`);
+            return;
+        }
+
+        // Same as mentioning @ai, so the question stays in the room's history
+        const posted = await postCommandMessage(context, `@ai ${args}`);
+        if (posted) {
+            answerAiMention(context.socket, { id: posted.id, username, text: posted.text, room });
+        }
+    }
+});
+
+commands.register('summarize', {
+    usage: '/summarize [N]',
+    description: `Summarize the last N messages here, just for you (default ${DEFAULT_SUMMARIZE_COUNT}, max ${MAX_SUMMARIZE_COUNT})`,
+    async run(context, args) {
+        const count = args ? Number(args) : DEFAULT_SUMMARIZE_COUNT;
+        if (!Number.isInteger(count) || count < 1 || count > MAX_SUMMARIZE_COUNT) {
+            context.reply(`Usage: /summarize [N] with N from 1 to ${MAX_SUMMARIZE_COUNT}`);
+            return;
+        }
+
+        const rows = (await storage.listMessages(context.room, null, count)).reverse().filter(row => !row.deleted_at);
+        if (rows.length === 0) {
+            context.reply(`Nothing to summarize in #${context.room} yet`);
+            return;
+        }
+
+        const { summary } = await summarizeRoomMessages(context.room, rows, context.username);
+        context.reply(`Summary of the last ${rows.length} messages in #${context.room}:\n${summary}`);
+    }
+});
+
+// Moderation commands: "/mute bob 10 spamming" and so on, answered to the moderator only
+const USERNAME_ARGUMENT = /^(\S+)(?:\s+([\s\S]*))?$/;
+
+async function runModerationCommand(context, action, data, usage) {
+    if (!data.username) {
+        context.reply(`Usage: ${usage}`);
+        return;
+    }
+    const outcome = await applyModeration(context.username, action, data, socketIp(context.socket));
+    if (outcome.error) {
+        context.reply(outcome.error);
+        return;
+    }
+
+    const { username, expiresAt, role } = outcome.result;
+    const until = expiresAt ? ` until ${expiresAt.toISOString().replace('T', ' ').slice(0, 16)} UTC` : '';
+    const done = {
+        mute: `Muted ${username}${until}`,
+        unmute: `Unmuted ${username}`,
+        kick: `Kicked ${username}`,
+        ban: `Banned ${username}${until || ' for good'}`,
+        unban: `Unbanned ${username}`,
+        role: `${username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`
+    };
+    context.reply(done[action]);
+}
+
+// "name rest" -> { username, rest }
+function splitUsername(args) {
+    const match = args.match(USERNAME_ARGUMENT);
+    return match ? { username: match[1], rest: (match[2] || '').trim() } : { username: null, rest: '' };
+}
+
+commands.register('mute', {
+    usage: '/mute <user> <minutes> [reason]',
+    description: 'Stop a user posting for a while',
+    requires: 'moderator',
+    async run(context, args) {
+        const { username, rest } = splitUsername(args);
+        const [minutes, ...reason] = rest.split(/\s+/);
+        await runModerationCommand(context, 'mute', { username, minutes, reason: reason.join(' ') }, this.usage);
+    }
+});
+
+commands.register('unmute', {
+    usage: '/unmute <user>',
+    description: 'Let a muted user post again',
+    requires: 'moderator',
+    async run(context, args) {
+        await runModerationCommand(context, 'unmute', splitUsername(args), this.usage);
+    }
+});
+
+commands.register('kick', {
+    usage: '/kick <user> [reason]',
+    description: 'Disconnect a user (they can come back)',
+    requires: 'moderator',
+    async run(context, args) {
+        const { username, rest } = splitUsername(args);
+        await runModerationCommand(context, 'kick', { username, reason: rest }, this.usage);
+    }
+});
+
+commands.register('ban', {
+    usage: '/ban <user> [--ip] [minutes] [reason]',
+    description: 'Ban a user (with --ip, also the addresses they are connected from); without minutes, for good',
+    requires: 'moderator',
+    async run(context, args) {
+        const { username, rest: options } = splitUsername(args);
+        const includeIp = /^--ip(\s|$)/.test(options);
+        const rest = includeIp ? options.slice(4).trim() : options;
+        const [first, ...others] = rest.split(/\s+/);
+        const timed = /^\d+$/.test(first);
+        await runModerationCommand(context, 'ban', {
+            username,
+            minutes: timed ? first : null,
+            reason: timed ? others.join(' ') : rest,
+            includeIp
+        }, this.usage);
+    }
+});
+
+commands.register('unban', {
+    usage: '/unban <user>',
+    description: 'Lift a user\'s ban',
+    requires: 'moderator',
+    async run(context, args) {
+        await runModerationCommand(context, 'unban', splitUsername(args), this.usage);
+    }
+});
+
+commands.register('role', {
+    usage: '/role <user> <admin|moderator|member>',
+    description: 'Change a user\'s role',
+    requires: 'admin',
+    async run(context, args) {
+        const { username, rest } = splitUsername(args);
+        await runModerationCommand(context, 'role', { username, role: rest }, this.usage);
+    }
+});
+
+// Unknown commands and failures are reported to the sender only
+async function runCommand(socket, room, { name, args }) {
+    const command = commands.get(name);
+    if (!command) {
+        socket.emit('error', { message: `Unknown command /${name}. Type /help to see the commands` });
+        return;
+    }
+
+    const role = await getRole(socket.username);
+    if (command.requires && !moderation.hasRole(role, command.requires)) {
+        socket.emit('error', { message: `Only ${command.requires}s can use /${name}` });
+        return;
+    }
+
+    const context = {
+        username: socket.username,
+        role,
+        room,
+        socket,
+        reply: text => socket.emit('commandReply', { room, command: name, text }),
+        clear: () => socket.emit('commandReply', { room, command: name, clear: true })
+    };
+    try {
+        await command.run(context, args);
+    } catch (error) {
+        if (!error.status) console.error(`Error running /${name}:`, error);
+        socket.emit('error', { message: error.status ? error.message : `/${name} failed` });
+    }
+}
+
+// Only sockets carrying a valid session token may connect, and not while banned.
+// Bans disconnect the sockets already open, so no event handler has to check for them.
+// If the bans cannot be read, the connection is refused rather than let through.
+io.use(async (socket, next) => {
+    const username = auth.verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!username) {
+        next(new Error('Authentication required'));
+        return;
+    }
+    socket.username = username;
+
+    try {
+        const { ban } = await findSanctions(username, socketIp(socket));
+        if (ban) {
+            const error = new Error('You are banned');
+            error.data = { by: ban.created_by, reason: ban.reason, expiresAt: ban.expires_at };
+            next(error);
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking bans:', error);
+        next(new Error('Could not check bans'));
+        return;
+    }
+    next();
+});
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    console.log(`👤 User connected: ${socket.id}`);
+    socket.joinedRooms = new Set();
+    socket.away = false;    // reported by the client when the tab is hidden or idle
+    socket.aiStream = null; // { requestId, controller } while an AI reply is streaming
+
+    // Handle user joining (identity comes from the handshake, not the payload)
+    socket.on('userJoined', async () => {
+        const username = socket.username;
+        addUserSocket(username, socket.id);
+
+        console.log(`👋 ${username} joined the chat`);
+
+        // Everyone starts out in the default room
+        joinRoom(socket, DEFAULT_ROOM);
+    });
+
+    // Handle resuming after a reconnect: presence, rooms, missed messages and who is typing
+    socket.on('resumeSession', async (data) => {
+        const limited = checkRateLimit('history', socket.username, socketIp(socket));
+        if (limited) {
+            emitRateLimited(socket, limited);
+            return;
+        }
+
+        const lastSeenId = parseId(data && data.lastSeenId);
+        const requested = Array.isArray(data && data.rooms) ? data.rooms.map(normalizeRoomName) : [];
+        const names = [...new Set([DEFAULT_ROOM, ...requested.filter(Boolean)])];
+
+        try {
+            addUserSocket(socket.username, socket.id);
+
+            // Rooms the client remembers wrongly are skipped rather than reported
+            const rooms = [];
+            for (const room of names) {
+                if (await storage.roomExists(room)) {
+                    rooms.push(await resumeRoom(socket, room, lastSeenId));
+                }
+            }
+
+            console.log(`🔄 ${socket.username} resumed the session in ${rooms.length} room(s)`);
+
+            socket.emit('sessionResumed', { lastSeenId, rooms });
+
+        } catch (error) {
+            console.error('Error resuming session:', error);
+            socket.emit('error', { message: 'Failed to resume the session' });
+        }
+    });
+
+    // Handle listing rooms
+    socket.on('getRooms', async () => {
+        try {
+            const rows = await storage.listRooms();
+
+            socket.emit('roomList', rows.map(toClientRoom));
+
+        } catch (error) {
+            console.error('Error fetching rooms:', error);
+            socket.emit('error', { message: 'Failed to load rooms' });
+        }
+    });
+
+    // Handle creating a room
+    socket.on('createRoom', async (data) => {
+        const room = normalizeRoomName(data && data.name);
+        if (!room) {
+            socket.emit('error', { message: 'Room names may only contain letters, numbers, "-" and "_"' });
+            return;
+        }
+
+        try {
+            if (!(await storage.createRoom(room, socket.username))) {
+                socket.emit('error', { message: `Room #${room} already exists` });
+                return;
+            }
+
+            console.log(`🆕 ${socket.username} created #${room}`);
+
+            io.emit('roomCreated', { name: room, createdBy: socket.username, aiEnabled: true, userCount: 0 });
+            joinRoom(socket, room);
+
+        } catch (error) {
+            console.error('Error creating room:', error);
+            socket.emit('error', { message: 'Failed to create room' });
+        }
+    });
+
+    // Handle joining an existing room
+    socket.on('joinRoom', async (data) => {
+        const room = normalizeRoomName(data && data.room);
+        if (!room) {
+            socket.emit('error', { message: 'Invalid room' });
+            return;
+        }
+
+        try {
+            if (!(await storage.roomExists(room))) {
+                socket.emit('error', { message: `Room #${room} does not exist` });
+                return;
+            }
+
+            joinRoom(socket, room);
+
+        } catch (error) {
+            console.error('Error joining room:', error);
+            socket.emit('error', { message: 'Failed to join room' });
+        }
+    });
+
+    // Handle leaving a room
+    socket.on('leaveRoom', (data) => {
+        const room = normalizeRoomName(data && data.room);
+        if (room && room !== DEFAULT_ROOM) {
+            leaveRoom(socket, room);
+        }
+    });
+
+    // Handle turning @ai on or off for a room
+    socket.on('updateRoomSettings', async (data) => {
+        try {
+            const result = await applyRoomSettings(socket.username, data && data.room, data);
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error updating room settings:', error);
+            socket.emit('error', { message: 'Failed to update room settings' });
+        }
+    });
+
+    // Handle listing slash commands (for autocomplete)
+    socket.on('getCommands', async () => {
+        try {
+            const role = await getRole(socket.username);
+            socket.emit('commandList', commands.list(requires => moderation.hasRole(role, requires)));
+        } catch (error) {
+            console.error('Error listing commands:', error);
+        }
+    });
+
+    // Handle requests for the user's role (and the commands it allows)
+    socket.on('getProfile', async () => {
+        try {
+            await sendProfile(socket);
+        } catch (error) {
+            console.error('Error fetching profile:', error);
+            socket.emit('error', { message: 'Failed to load your profile' });
+        }
+    });
+
+    // Handle moderator actions: { action, username, ... } as for POST /api/moderation/:action.
+    // Replies with moderationResult { action, username, ip, reason, expiresAt, role }.
+    socket.on('moderate', async (data) => {
+        try {
+            const outcome = await applyModeration(socket.username, data && data.action, data || {}, socketIp(socket));
+            if (outcome.error) {
+                socket.emit('error', { message: outcome.error });
+                return;
+            }
+            socket.emit('moderationResult', outcome.result);
+        } catch (error) {
+            console.error('Error applying moderation:', error);
+            socket.emit('error', { message: 'Moderation failed' });
+        }
+    });
+
+    // Handle requests for the limits the client checks before sending
+    socket.on('getLimits', () => {
+        socket.emit('limits', { maxMessageLength: MAX_MESSAGE_LENGTH });
+    });
+
+    // Handle delivery and read acknowledgements
+    socket.on('messageDelivered', (data) => acknowledgeMessage(socket, data, 'delivered'));
+    socket.on('messageRead', (data) => acknowledgeMessage(socket, data, 'read'));
+
+    // Handle getting message history
+    socket.on('getMessageHistory', async (data) => {
+        const limited = checkRateLimit('history', socket.username, socketIp(socket));
+        if (limited) {
+            emitRateLimited(socket, limited);
+            return;
+        }
+
+        const room = normalizeRoomName(data && data.room) || DEFAULT_ROOM;
+        if (!socket.joinedRooms.has(room)) {
+            socket.emit('error', { message: `Join #${room} to read its history` });
+            return;
+        }
+
+        const before = parseId(data && data.before);
+        const around = parseId(data && data.around);
+        try {
+            if (around) {
+                const page = await getMessageContext(room, around, parsePageSize(data.limit));
+                if (!page) {
+                    socket.emit('error', { message: 'Message not found' });
+                    return;
+                }
+                socket.emit('messageHistory', { room, before: null, around, ...page });
+                return;
+            }
+
+            const page = await getMessagePage(room, before, parsePageSize(data && data.limit));
+            socket.emit('messageHistory', { room, before, ...page });
+
+            // The latest page has reached this user's client
+            if (!before && page.messages.length > 0) {
+                await advanceReceipt(room, socket.username, { deliveredId: page.messages[page.messages.length - 1].id });
+            }
+        } catch (error) {
+            console.error('Error fetching message history:', error);
+            socket.emit('error', { message: 'Failed to load message history' });
+        }
+    });
+
+    // Handle loading a thread: its first message and a page of replies after `after`
+    socket.on('getThread', async (data) => {
+        const limited = checkRateLimit('history', socket.username, socketIp(socket));
+        if (limited) {
+            emitRateLimited(socket, limited);
+            return;
+        }
+
+        const id = parseId(data && data.id);
+        if (!id) {
+            socket.emit('error', { message: 'Invalid message id' });
+            return;
+        }
+
+        const after = parseId(data.after);
+        try {
+            const page = await getThreadPage(id, after, parsePageSize(data.limit));
+            if (!page) {
+                socket.emit('error', { message: 'Message not found' });
+                return;
+            }
+            if (!socket.joinedRooms.has(page.room)) {
+                socket.emit('error', { message: `Join #${page.room} to read its threads` });
+                return;
+            }
+            socket.emit('threadHistory', { after, ...page });
+        } catch (error) {
+            console.error('Error fetching thread:', error);
+            socket.emit('error', { message: 'Failed to load the thread' });
+        }
+    });
+
+    // Handle new messages. With an acknowledgement callback the outcome goes to it,
+    // ({ ok: true, id, duplicate? } or { ok: false, error, code?, retryAfter? }), otherwise
+    // errors are emitted.
+    socket.on('message', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : null;
+        try {
+            const result = await sendRoomMessage(socket, data || {});
+            if (result.code) {
+                if (reply) {
+                    reply({ ok: false, error: result.error, code: result.code, retryAfter: result.retryAfter });
+                } else {
+                    emitRateLimited(socket, result);
+                }
+                return;
+            }
+            if (result.error) {
+                if (reply) {
+                    reply({ ok: false, error: result.error });
+                } else {
+                    socket.emit('error', { message: result.error });
+                }
+                return;
+            }
+            if (reply) reply({ ok: true, ...result });
+        } catch (error) {
+            console.error('Error saving message:', error);
+            if (reply) {
+                reply({ ok: false, error: 'Failed to send message' });
+            } else {
+                socket.emit('error', { message: 'Failed to send message' });
+            }
+        }
+    });
+
+    // Handle editing one of your own messages
+    socket.on('editMessage', async (data) => {
+        const id = parseId(data && data.id);
+        if (!id) {
+            socket.emit('error', { message: 'Invalid message' });
+            return;
+        }
+
+        try {
+            const result = await applyMessageEdit(socket.username, id, data.text, socketIp(socket));
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error editing message:', error);
+            socket.emit('error', { message: 'Failed to edit message' });
+        }
+    });
+
+    // Handle deleting one of your own messages
+    socket.on('deleteMessage', async (data) => {
+        const id = parseId(data && data.id);
+        if (!id) {
+            socket.emit('error', { message: 'Invalid message' });
+            return;
+        }
+
+        try {
+            const result = await applyMessageDelete(socket.username, id);
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            socket.emit('error', { message: 'Failed to delete message' });
+        }
+    });
+
+    // Handle adding and removing emoji reactions
+    const handleReaction = (add) => async (data) => {
+        const id = parseId(data && data.id);
+        const emoji = data && data.emoji;
+        if (!id || !isValidReaction(emoji)) {
+            socket.emit('error', { message: 'Invalid reaction' });
+            return;
+        }
+
+        try {
+            const row = await storage.getMessage(id);
+            if (!row || row.deleted_at || !socket.joinedRooms.has(row.room)) {
+                socket.emit('error', { message: 'Message not found' });
+                return;
+            }
+
+            if (add) {
+                await storage.addReaction(id, socket.username, emoji);
+            } else {
+                await storage.removeReaction(id, socket.username, emoji);
+            }
+
+            const [message] = await attachReactions([{ id }]);
+            io.to(row.room).emit('reactionsUpdated', { id, room: row.room, reactions: message.reactions });
+
+        } catch (error) {
+            console.error('Error updating reaction:', error);
+            socket.emit('error', { message: 'Failed to update reaction' });
+        }
+    };
+    socket.on('addReaction', handleReaction(true));
+    socket.on('removeReaction', handleReaction(false));
+
+    // Handle typing indicators
+    socket.on('typing', async (data) => {
+        const username = socket.username;
+        const room = normalizeRoomName(data && data.room) || DEFAULT_ROOM;
+        if (!socket.joinedRooms.has(room)) return;
+        if (roomTyping.has(room) && roomTyping.get(room).has(username)) return;
+
+        const limited = checkRateLimit('typing', username, socketIp(socket));
+        if (limited) {
+            emitRateLimited(socket, limited);
+            return;
+        }
+
+        // Muted users type into the void
+        try {
+            if (await checkCanPost(username, socketIp(socket))) return;
+        } catch (error) {
+            console.error('Error checking mutes:', error);
+            return;
+        }
+
+        const typing = getRoomSet(roomTyping, room);
+        if (!typing.has(username) && socket.joinedRooms.has(room)) {
+            typing.add(username);
+            socket.to(room).emit('typing', { username, room });
+        }
+    });
+
+    socket.on('stopTyping', (data) => {
+        const username = socket.username;
+        const room = normalizeRoomName(data && data.room) || DEFAULT_ROOM;
+        if (!roomTyping.has(room)) return;
+
+        const typing = roomTyping.get(room);
+        if (typing.delete(username)) {
+            if (typing.size === 0) roomTyping.delete(room);
+            socket.to(room).emit('stopTyping', { username, room });
+        }
+    });
+
+    // Handle listing direct-message conversations with unread counts
+    socket.on('getDirectConversations', async () => {
+        try {
+            const rows = await storage.listDirectConversations(socket.username);
+
+            socket.emit('directConversations', rows.map(row => ({
+                username: row.partner,
+                lastTimestamp: row.last_timestamp,
+                unread: Number(row.unread) || 0
+            })));
+
+        } catch (error) {
+            console.error('Error fetching direct conversations:', error);
+            socket.emit('error', { message: 'Failed to load direct messages' });
+        }
+    });
+
+    // Handle getting a direct-message thread
+    socket.on('getDirectHistory', async (data) => {
+        const limited = checkRateLimit('history', socket.username, socketIp(socket));
+        if (limited) {
+            emitRateLimited(socket, limited);
+            return;
+        }
+
+        if (!data || typeof data.with !== 'string' || !data.with) {
+            socket.emit('error', { message: 'Invalid conversation' });
+            return;
+        }
+
+        try {
+            // Resolve the canonical spelling so the thread matches stored rows
+            const user = await storage.findUser(data.with);
+            const partner = user && user.username;
+            if (!partner) {
+                socket.emit('error', { message: `User ${data.with} does not exist` });
+                return;
+            }
+
+            const rows = await storage.listDirectMessages(socket.username, partner, 20);
+
+            // Reverse to show oldest first
+            socket.emit('directHistory', { with: partner, messages: rows.reverse() });
+
+        } catch (error) {
+            console.error('Error fetching direct history:', error);
+            socket.emit('error', { message: 'Failed to load direct messages' });
         }
     });
-    
-    // Handle new messages
-    socket.on('message', async (data) => {
+
+    // Handle sending a direct message
+    socket.on('directMessage', async (data) => {
         try {
-            const { username, text, timestamp } = data;
-            
+            const { to, text } = data || {};
+            const sender = socket.username;
+
+            const limited = checkRateLimit('message', sender, socketIp(socket));
+            if (limited) {
+                emitRateLimited(socket, limited);
+                return;
+            }
+
             // Validate message data
-            if (!username || !text || username.length > 50 || text.length > 255) {
+            if (typeof to !== 'string' || typeof text !== 'string' || !text || text.length > MAX_MESSAGE_LENGTH) {
                 socket.emit('error', { message: 'Invalid message data' });
                 return;
             }
-            
-            // Save message to database
-            const [result] = await db.execute(
-                'INSERT INTO messages (username, text, timestamp) VALUES (?, ?, ?)',
-                [username, text, new Date(timestamp)]
-            );
-            
-            console.log(`💬 Message from ${username}: ${text.substring(0, 50)}...`);
-            
-            // Broadcast message to all connected clients
-            io.emit('message', {
-                id: result.insertId,
-                username,
-                text,
-                timestamp: new Date(timestamp)
+
+            const restriction = await checkCanPost(sender, socketIp(socket));
+            if (restriction) {
+                socket.emit('error', { message: restriction.error });
+                return;
+            }
+
+            const recipient = await storage.findUser(to);
+            if (!recipient) {
+                socket.emit('error', { message: `User ${to} does not exist` });
+                return;
+            }
+            if (recipient.username === sender) {
+                socket.emit('error', { message: 'You cannot message yourself' });
+                return;
+            }
+
+            const filtered = await filterDirectMessage({ sender, recipient: recipient.username, text });
+            if (filtered.error) {
+                socket.emit('error', { message: filtered.error });
+                return;
+            }
+
+            const timestamp = new Date();
+            const messageId = await storage.insertDirectMessage({
+                sender,
+                recipient: recipient.username,
+                text: filtered.text,
+                timestamp
+            });
+            filtered.record();
+
+            console.log(`✉️  Direct message from ${sender} to ${recipient.username}`);
+
+            // Deliver only to the two participants
+            emitToUsers([sender, recipient.username], 'directMessage', {
+                id: messageId,
+                sender,
+                recipient: recipient.username,
+                text: filtered.text,
+                timestamp
             });
-            
+
         } catch (error) {
-            console.error('Error saving message:', error);
+            console.error('Error saving direct message:', error);
             socket.emit('error', { message: 'Failed to send message' });
         }
     });
-    
-    // Handle typing indicators
-    socket.on('typing', (data) => {
-        const { username } = data;
-        if (username && !typingUsers.has(username)) {
-            typingUsers.add(username);
-            socket.broadcast.emit('typing', { username });
+
+    // Handle marking a direct-message thread as read
+    socket.on('markDirectRead', async (data) => {
+        if (!data || typeof data.with !== 'string' || !data.with) return;
+
+        try {
+            // Resolve the canonical spelling so the receipt matches stored rows
+            const user = await storage.findUser(data.with);
+            const partner = user && user.username;
+            if (!partner) return;
+
+            await storage.markDirectRead(partner, socket.username, new Date());
+
+            // Keep the user's other tabs in sync
+            emitToUsers([socket.username], 'directRead', { with: partner });
+
+        } catch (error) {
+            console.error('Error marking direct messages read:', error);
         }
     });
-    
-    socket.on('stopTyping', (data) => {
-        const { username } = data;
-        if (username && typingUsers.has(username)) {
-            typingUsers.delete(username);
-            socket.broadcast.emit('stopTyping', { username });
+
+    // Handle streamed AI replies: aiChunk events while text arrives, then aiDone or aiError.
+    // One reply streams at a time per socket; aiDone carries the conversation it was saved to.
+    socket.on('aiPrompt', async (data) => {
+        const requestId = data && data.requestId;
+        if (typeof requestId !== 'string' || !requestId || requestId.length > 64) {
+            socket.emit('aiError', { requestId: null, message: 'Invalid AI request' });
+            return;
+        }
+        if (socket.aiStream) {
+            socket.emit('aiError', { requestId, message: 'Wait for the current AI reply to finish' });
+            return;
+        }
+        const limited = checkRateLimit('ai', socket.username, socketIp(socket));
+        if (limited) {
+            const { error, code, retryAfter } = limited;
+            socket.emit('aiError', { requestId, message: error, code, retryAfter });
+            return;
+        }
+
+        const controller = new AbortController();
+        socket.aiStream = { requestId, controller };
+        try {
+            const result = await runAiTurn(socket.username, data, {
+                signal: controller.signal,
+                onChunk: delta => socket.emit('aiChunk', { requestId, delta })
+            });
+            if (result.error) {
+                socket.emit('aiError', { requestId, message: result.error });
+                return;
+            }
+
+            const { conversation, text, cancelled, provider, model } = result;
+            socket.emit('aiDone', { requestId, text, cancelled, conversation, provider, model });
+
+        } catch (error) {
+            if (!error.status) console.error('AI stream error:', error);
+            if (error.code === 'ai_quota') {
+                socket.emit('aiError', { requestId, message: error.message, code: error.code, retryAfter: error.retryAfter });
+                return;
+            }
+            socket.emit('aiError', { requestId, message: error.status ? error.message : 'Failed to get AI reply' });
+        } finally {
+            socket.aiStream = null;
         }
     });
-    
+
+    // Handle stopping a streamed AI reply
+    socket.on('aiCancel', (data) => {
+        if (socket.aiStream && (!data || !data.requestId || data.requestId === socket.aiStream.requestId)) {
+            socket.aiStream.controller.abort();
+        }
+    });
+
     // Handle ping for connection health
-    socket.on('ping', () => {
+    socket.on('ping', (data) => {
+        reportActivity(socket, data);
         socket.emit('pong');
     });
-    
+
+    // Handle the tab becoming hidden, idle or active again ({ away })
+    socket.on('presence', (data) => {
+        reportActivity(socket, data);
+    });
+
     // Handle user leaving
-    socket.on('userLeft', (data) => {
-        const { username } = data;
-        if (username) {
-            connectedUsers.delete(username);
-            typingUsers.delete(username);
-            console.log(`👋 ${username} left the chat`);
-            socket.broadcast.emit('userLeft', { username });
-            io.emit('userCount', { count: connectedUsers.size });
+    socket.on('userLeft', () => {
+        if (removeUserSocket(socket.username, socket.id)) {
+            leaveAllRooms(socket);
+            console.log(`👋 ${socket.username} left the chat`);
         }
     });
-    
+
     // Handle disconnection
     socket.on('disconnect', () => {
-        if (socket.username) {
-            connectedUsers.delete(socket.username);
-            typingUsers.delete(socket.username);
+        if (socket.aiStream) {
+            socket.aiStream.controller.abort();
+        }
+        if (removeUserSocket(socket.username, socket.id)) {
+            leaveAllRooms(socket);
             console.log(`👋 ${socket.username} disconnected`);
-            socket.broadcast.emit('userLeft', { username: socket.username });
-            io.emit('userCount', { count: connectedUsers.size });
         }
         console.log(`👤 User disconnected: ${socket.id}`);
     });
-    
+
     // Handle errors
     socket.on('error', (error) => {
         console.error('Socket error:', error);
@@ -199,6 +2257,66 @@ io.on('connection', (socket) => {
 });
 
 // API Routes
+// Account routes
+app.post('/api/register', async (req, res) => {
+    try {
+        const limited = checkRateLimit('auth', null, moderation.normalizeIp(req.ip));
+        if (limited) {
+            return sendTooManyRequests(res, limited);
+        }
+
+        const { username, password } = req.body || {};
+        const invalid = auth.validateCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (auth.isReservedUsername(username)) {
+            return res.status(409).json({ error: 'That username is reserved' });
+        }
+        if ((await findSanctions(null, moderation.normalizeIp(req.ip))).ban) {
+            return res.status(403).json({ error: 'You are banned' });
+        }
+
+        const passwordHash = await auth.hashPassword(password);
+        if (!(await storage.createUser(username, passwordHash))) {
+            return res.status(409).json({ error: 'That username is already taken' });
+        }
+
+        console.log(`🆕 Registered account ${username}`);
+        return res.status(201).json({ username, token: auth.createSessionToken(username) });
+    } catch (error) {
+        console.error('Registration error:', error);
+        return res.status(500).json({ error: 'Failed to register' });
+    }
+});
+
+app.post('/api/login', async (req, res) => {
+    try {
+        const limited = checkRateLimit('auth', null, moderation.normalizeIp(req.ip));
+        if (limited) {
+            return sendTooManyRequests(res, limited);
+        }
+
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const user = await storage.findUser(username);
+        if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        if ((await findSanctions(user.username, moderation.normalizeIp(req.ip))).ban) {
+            return res.status(403).json({ error: 'You are banned' });
+        }
+
+        return res.json({ username: user.username, token: auth.createSessionToken(user.username) });
+    } catch (error) {
+        console.error('Login error:', error);
+        return res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'OK', 
@@ -209,15 +2327,13 @@ app.get('/api/health', (req, res) => {
 
 app.get('/api/stats', async (req, res) => {
     try {
-        const [messageCount] = await db.execute('SELECT COUNT(*) as count FROM messages');
-        const [recentMessages] = await db.execute(
-            'SELECT * FROM messages ORDER BY timestamp DESC LIMIT 10'
-        );
+        const { totalMessages, totalReactions, recentMessages } = await storage.getStats(10);
         
         res.json({
-            totalMessages: messageCount[0].count,
+            totalMessages,
+            totalReactions,
             connectedUsers: connectedUsers.size,
-            recentMessages: recentMessages
+            recentMessages: await toClientMessages(recentMessages)
         });
     } catch (error) {
         console.error('Error fetching stats:', error);
@@ -225,80 +2341,475 @@ app.get('/api/stats', async (req, res) => {
     }
 });
 
-// AI Chat endpoint (optional)
-app.post('/api/ai-chat', async (req, res) => {
+app.get('/api/rooms', async (req, res) => {
+    try {
+        const rooms = await storage.listRooms();
+
+        res.json(rooms.map(toClientRoom));
+    } catch (error) {
+        console.error('Error fetching rooms:', error);
+        res.status(500).json({ error: 'Failed to fetch rooms' });
+    }
+});
+
+// Everyone online or away, or the members of ?room=, plus the accounts listed in
+// ?users=a,b whether or not they are connected (offline ones with when they left)
+const MAX_PRESENCE_LOOKUPS = 50;
+
+app.get('/api/presence', requireUser, async (req, res) => {
+    const room = req.query.room === undefined ? null : normalizeRoomName(req.query.room);
+    if (req.query.room !== undefined && !room) {
+        return res.status(400).json({ error: 'Invalid room' });
+    }
+    const requested = typeof req.query.users === 'string'
+        ? [...new Set(req.query.users.split(',').map(name => name.trim()).filter(Boolean))]
+        : [];
+    if (requested.length > MAX_PRESENCE_LOOKUPS) {
+        return res.status(400).json({ error: `At most ${MAX_PRESENCE_LOOKUPS} users at a time` });
+    }
+
     try {
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (!apiKey) {
-            return res.status(400).json({ error: 'Missing OPENAI_API_KEY in environment' });
+        const names = room ? listRoomMembers(room) : [...presence.keys()].sort();
+        const users = names.map(getPresence);
+
+        for (const name of requested) {
+            // Unknown accounts are left out; known ones use the stored spelling
+            const user = await storage.findUser(name);
+            if (!user || users.some(entry => entry.username === user.username)) continue;
+            users.push(presence.has(user.username)
+                ? getPresence(user.username)
+                : toClientPresence(user.username, 'offline', await storage.getLastSeen(user.username)));
         }
-        if (!OpenAIClient) {
-            return res.status(400).json({ error: 'openai package not installed' });
+
+        res.json({ room, users });
+    } catch (error) {
+        console.error('Error fetching presence:', error);
+        res.status(500).json({ error: 'Failed to fetch presence' });
+    }
+});
+
+app.patch('/api/rooms/:name', requireUser, async (req, res) => {
+    try {
+        const result = await applyRoomSettings(req.username, req.params.name, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
+        return res.json(result.update);
+    } catch (error) {
+        console.error('Error updating room settings:', error);
+        return res.status(500).json({ error: 'Failed to update room settings' });
+    }
+});
 
-        const { prompt, history } = req.body || {};
-        if (!prompt || typeof prompt !== 'string') {
-            return res.status(400).json({ error: 'Invalid prompt' });
+app.get('/api/messages', requireUser, async (req, res) => {
+    try {
+        const room = normalizeRoomName(req.query.room) || DEFAULT_ROOM;
+        const before = parseId(req.query.before);
+        const around = parseId(req.query.around);
+        if (around) {
+            const page = await getMessageContext(room, around, parsePageSize(req.query.limit));
+            if (!page) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            return res.json({ room, before: null, around, ...page });
         }
 
-        const OpenAI = OpenAIClient.default || OpenAIClient;
-        const openai = new OpenAI({ apiKey });
+        const page = await getMessagePage(room, before, parsePageSize(req.query.limit));
+        res.json({ room, before, ...page });
+    } catch (error) {
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+});
+
+// A thread's first message and its replies, oldest first, paged with ?after=<nextAfter>
+app.get('/api/messages/:id/replies', requireUser, async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ error: 'Invalid message id' });
+    }
 
-        const messages = [
-            { role: 'system', content: 'You are a helpful AI assistant. Keep answers concise.' }
-        ];
-        if (Array.isArray(history)) {
-            for (const m of history) {
-                if (!m || !m.role || !m.content) continue;
-                messages.push({ role: m.role, content: String(m.content).slice(0, 4000) });
-            }
+    try {
+        const after = parseId(req.query.after);
+        const page = await getThreadPage(id, after, parsePageSize(req.query.limit));
+        if (!page) {
+            return res.status(404).json({ error: 'Message not found' });
         }
-        messages.push({ role: 'user', content: prompt.slice(0, 4000) });
+        res.json({ after, ...page });
+    } catch (error) {
+        console.error('Error fetching thread:', error);
+        res.status(500).json({ error: 'Failed to fetch the thread' });
+    }
+});
 
-        let replyText = '';
-        try {
-            if (openai.responses && openai.responses.create) {
-                const response = await openai.responses.create({
-                    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-                    input: messages.map(m => `${m.role}: ${m.content}`).join('\n')
-                });
-                if (response && response.output && Array.isArray(response.output)) {
-                    replyText = response.output.map(p => p.content?.[0]?.text?.value || '').join('').trim();
-                }
-                if (!replyText && response?.output_text) replyText = String(response.output_text).trim();
-            } else if (openai.chat && openai.chat.completions) {
-                const response = await openai.chat.completions.create({
-                    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-                    messages
-                });
-                replyText = response?.choices?.[0]?.message?.content || '';
-            } else {
-                return res.status(500).json({ error: 'OpenAI client does not support responses/chat on this version' });
+// Moderation: the actions of the moderate socket event, mutes and bans in force, and the audit log
+app.post('/api/moderation/:action', requireUser, async (req, res) => {
+    try {
+        const outcome = await applyModeration(req.username, req.params.action, req.body || {}, moderation.normalizeIp(req.ip));
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+        return res.json(outcome.result);
+    } catch (error) {
+        console.error('Error applying moderation:', error);
+        return res.status(500).json({ error: 'Moderation failed' });
+    }
+});
+
+app.get('/api/moderation/sanctions', requireUser, async (req, res) => {
+    try {
+        if (!moderation.hasRole(await getRole(req.username), 'moderator')) {
+            return res.status(403).json({ error: 'Only moderators can do that' });
+        }
+        const username = typeof req.query.username === 'string' ? req.query.username : null;
+        const ip = typeof req.query.ip === 'string' ? moderation.normalizeIp(req.query.ip) : null;
+        const rows = await storage.listActiveSanctions({ username, ip, now: new Date() });
+        return res.json({ sanctions: rows.map(toClientSanction) });
+    } catch (error) {
+        console.error('Error fetching sanctions:', error);
+        return res.status(500).json({ error: 'Failed to fetch sanctions' });
+    }
+});
+
+app.get('/api/moderation/log', requireUser, async (req, res) => {
+    try {
+        if (!moderation.hasRole(await getRole(req.username), 'moderator')) {
+            return res.status(403).json({ error: 'Only moderators can do that' });
+        }
+        const limit = parsePageSize(req.query.limit);
+        const rows = await storage.listModerationActions(parseId(req.query.before), limit + 1);
+        const hasMore = rows.length > limit;
+        const actions = rows.slice(0, limit).map(toClientModerationAction);
+        return res.json({
+            actions,
+            hasMore,
+            nextBefore: hasMore ? actions[actions.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Error fetching the moderation log:', error);
+        return res.status(500).json({ error: 'Failed to fetch the moderation log' });
+    }
+});
+
+// Review queue: messages the filters flagged, newest first (status=all includes reviewed ones)
+app.get('/api/moderation/flags', requireUser, async (req, res) => {
+    try {
+        if (!moderation.hasRole(await getRole(req.username), 'moderator')) {
+            return res.status(403).json({ error: 'Only moderators can do that' });
+        }
+        const limit = parsePageSize(req.query.limit);
+        const rows = await storage.listMessageFlags({
+            pending: req.query.status !== 'all',
+            before: parseId(req.query.before),
+            limit: limit + 1
+        });
+        const hasMore = rows.length > limit;
+        const flags = rows.slice(0, limit).map(toClientMessageFlag);
+        return res.json({
+            flags,
+            hasMore,
+            nextBefore: hasMore ? flags[flags.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Error fetching flagged messages:', error);
+        return res.status(500).json({ error: 'Failed to fetch flagged messages' });
+    }
+});
+
+app.post('/api/moderation/flags/:id', requireUser, async (req, res) => {
+    try {
+        const outcome = await reviewMessageFlag(req.username, parseId(req.params.id), (req.body || {}).action);
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+        return res.json(outcome.result);
+    } catch (error) {
+        console.error('Error reviewing flagged message:', error);
+        return res.status(500).json({ error: 'Failed to review the message' });
+    }
+});
+
+// Full-text search over room messages, newest first, paged like history
+app.get('/api/search', requireUser, async (req, res) => {
+    const terms = search.parseSearchQuery(req.query.q);
+    if (terms.length === 0) {
+        return res.status(400).json({ error: 'Search for at least one word' });
+    }
+    const room = req.query.room ? normalizeRoomName(req.query.room) : null;
+    if (req.query.room && !room) {
+        return res.status(400).json({ error: 'Invalid room' });
+    }
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    const username = typeof req.query.user === 'string' ? req.query.user.trim() : '';
+    const limit = parsePageSize(req.query.limit);
+
+    try {
+        // Fetch one extra row to learn whether another page exists
+        const rows = await storage.searchMessages({
+            terms,
+            username: username || null,
+            room,
+            from,
+            to,
+            before: parseId(req.query.before),
+            limit: limit + 1
+        });
+        const hasMore = rows.length > limit;
+        const results = rows.slice(0, limit).map(row => ({
+            id: row.id,
+            room: row.room,
+            username: row.username,
+            timestamp: row.timestamp,
+            text: row.text,
+            ...search.buildSnippet(row.text, terms)
+        }));
+
+        return res.json({
+            query: req.query.q,
+            terms,
+            results,
+            hasMore,
+            nextBefore: hasMore ? results[results.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        return res.status(500).json({ error: 'Failed to search messages' });
+    }
+});
+
+app.patch('/api/messages/:id', requireUser, async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ error: 'Invalid message' });
+    }
+
+    try {
+        const result = await applyMessageEdit(req.username, id, (req.body || {}).text, moderation.normalizeIp(req.ip));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        return res.json(result.update);
+    } catch (error) {
+        console.error('Error editing message:', error);
+        return res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+app.delete('/api/messages/:id', requireUser, async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ error: 'Invalid message' });
+    }
+
+    try {
+        const result = await applyMessageDelete(req.username, id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        return res.json(result.update);
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        return res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+app.post('/api/attachments', requireUser, uploads.receiveFile, async (req, res) => {
+    try {
+        const { originalname, mimetype, size, filename } = req.file;
+        const attachmentId = await storage.createAttachment({
+            uploader: req.username,
+            originalName: originalname,
+            mimeType: mimetype,
+            size,
+            storageName: filename
+        });
+
+        console.log(`📎 ${req.username} uploaded ${originalname} (${size} bytes)`);
+        res.status(201).json(uploads.toClientAttachment({
+            id: attachmentId,
+            original_name: originalname,
+            mime_type: mimetype,
+            size
+        }));
+    } catch (error) {
+        uploads.removeFile(req.file);
+        console.error('Error saving attachment:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+app.get('/api/attachments/:id', requireUserFromQuery, async (req, res) => {
+    try {
+        const row = await storage.getAttachment(parseId(req.params.id));
+
+        // Unsent uploads are private to their uploader; files of deleted messages are gone
+        const visible = row && (row.message_id ? !row.deleted_at : row.uploader === req.username);
+        if (!visible) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        res.set({
+            'Content-Type': row.mime_type,
+            'Content-Disposition': uploads.contentDisposition(row),
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.sendFile(uploads.attachmentPath(row), (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'Attachment not found' });
             }
-        } catch (err) {
-            console.error('AI API error:', err?.message || err);
-            return res.status(502).json({ error: 'AI provider error' });
+        });
+    } catch (error) {
+        console.error('Error fetching attachment:', error);
+        res.status(500).json({ error: 'Failed to fetch attachment' });
+    }
+});
+
+// AI providers a request may pick, and which one is used by default
+app.get('/api/ai/providers', requireUser, (req, res) => {
+    res.json(ai.listProviders());
+});
+
+// Today's AI requests against the daily quota (limit and remaining are null without one)
+app.get('/api/ai/usage', requireUser, async (req, res) => {
+    try {
+        const now = new Date();
+        const used = await storage.getAiUsage(req.username, rateLimit.quotaDay(now));
+        const limit = rateLimit.AI_DAILY_QUOTA || null;
+        res.json({
+            used,
+            limit,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            resetsAt: rateLimit.quotaResetsAt(now)
+        });
+    } catch (error) {
+        console.error('Error fetching AI usage:', error);
+        res.status(500).json({ error: 'Failed to fetch AI usage' });
+    }
+});
+
+// AI conversations of the signed-in user, most recently active first
+app.get('/api/ai/conversations', requireUser, async (req, res) => {
+    try {
+        const rows = await storage.listAiConversations(req.username);
+        res.json(rows.map(toClientAiConversation));
+    } catch (error) {
+        console.error('Error fetching AI conversations:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+app.get('/api/ai/conversations/:id', requireUser, async (req, res) => {
+    try {
+        const row = await getOwnAiConversation(req.username, parseId(req.params.id));
+        if (!row) {
+            return res.status(404).json({ error: 'Conversation not found' });
         }
 
-        if (!replyText) replyText = 'I could not generate a response.';
+        const messages = await storage.listAiMessages(row.id);
+        res.json({ ...toClientAiConversation(row), messages: messages.map(toClientAiMessage) });
+    } catch (error) {
+        console.error('Error fetching AI conversation:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
 
-        // Store AI reply in MySQL as username 'AI' (best-effort)
-        try {
-            await db.execute(
-                'INSERT INTO messages (username, text, timestamp) VALUES (?, ?, ?)',
-                ['AI', replyText, new Date()]
-            );
-        } catch (e) {
-            console.warn('Could not persist AI message:', e?.message || e);
+app.patch('/api/ai/conversations/:id', requireUser, async (req, res) => {
+    const { title: rawTitle } = req.body || {};
+    const title = typeof rawTitle === 'string' ? rawTitle.trim() : '';
+    if (!title || title.length > MAX_AI_TITLE_LENGTH) {
+        return res.status(400).json({ error: `Titles must be 1-${MAX_AI_TITLE_LENGTH} characters` });
+    }
+
+    try {
+        const row = await getOwnAiConversation(req.username, parseId(req.params.id));
+        if (!row) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        await storage.renameAiConversation(row.id, title);
+        res.json(toClientAiConversation({ ...row, title }));
+    } catch (error) {
+        console.error('Error renaming AI conversation:', error);
+        res.status(500).json({ error: 'Failed to rename conversation' });
+    }
+});
+
+app.delete('/api/ai/conversations/:id', requireUser, async (req, res) => {
+    try {
+        const row = await getOwnAiConversation(req.username, parseId(req.params.id));
+        if (!row) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        await storage.deleteAiConversation(row.id);
+        res.json({ id: row.id, deleted: true });
+    } catch (error) {
+        console.error('Error deleting AI conversation:', error);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+// AI Chat endpoint (optional; the socket's aiPrompt event streams the same reply)
+app.post('/api/ai-chat', requireUser, async (req, res) => {
+    try {
+        const limited = checkRateLimit('ai', req.username, moderation.normalizeIp(req.ip));
+        if (limited) {
+            return sendTooManyRequests(res, limited);
+        }
+
+        const { prompt, conversationId, provider, model } = req.body || {};
+        const result = await runAiTurn(req.username, { prompt, conversationId, provider, model });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        return res.json({ reply: replyText });
+        return res.json({
+            reply: result.text,
+            conversation: result.conversation,
+            provider: result.provider,
+            model: result.model
+        });
     } catch (error) {
+        if (error.code === 'ai_quota') {
+            return sendTooManyRequests(res, { error: error.message, retryAfter: error.retryAfter });
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('AI endpoint error:', error);
         return res.status(500).json({ error: 'Failed to get AI reply' });
     }
 });
 
+// Summarize a room: what you missed since you were last online, or a chosen time range
+app.post('/api/summarize', requireUser, async (req, res) => {
+    try {
+        const limited = checkRateLimit('ai', req.username, moderation.normalizeIp(req.ip));
+        if (limited) {
+            return sendTooManyRequests(res, limited);
+        }
+
+        const result = await catchUp(req.username, req.body || {});
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        return res.json(result);
+    } catch (error) {
+        if (error.code === 'ai_quota') {
+            return sendTooManyRequests(res, { error: error.message, retryAfter: error.retryAfter });
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error summarizing room:', error);
+        return res.status(500).json({ error: 'Failed to summarize messages' });
+    }
+});
+
 // Serve the main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -314,9 +2825,11 @@ app.use((err, req, res, next) => {
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down server...');
     
-    if (db) {
-        await db.end();
+    try {
+        await storage.close();
         console.log('✅ Database connection closed');
+    } catch (error) {
+        console.error('Error closing database:', error);
     }
     
     server.close(() => {
@@ -328,9 +2841,11 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
     
-    if (db) {
-        await db.end();
+    try {
+        await storage.close();
         console.log('✅ Database connection closed');
+    } catch (error) {
+        console.error('Error closing database:', error);
     }
     
     server.close(() => {
@@ -344,17 +2859,20 @@ const PORT = process.env.PORT || 3000;
 
 async function startServer() {
     try {
-        await initializeDatabase();
+        await storage.init();
         
         server.listen(PORT, () => {
             console.log('🚀 Chat App Server Started!');
             console.log(`📡 Server running on http://localhost:${PORT}`);
-            console.log(`💾 Database: ${dbConfig.database}@${dbConfig.host}`);
+            console.log(`💾 Database: ${storage.describe()}`);
+            console.log(`🧹 Message filters: ${messageFilters.names.join(', ') || 'none'}`);
             console.log('👥 Ready for connections...');
             console.log('\n📋 Available endpoints:');
             console.log(`   • Main App: http://localhost:${PORT}`);
             console.log(`   • Health Check: http://localhost:${PORT}/api/health`);
             console.log(`   • Statistics: http://localhost:${PORT}/api/stats`);
+            console.log(`   • Rooms: http://localhost:${PORT}/api/rooms`);
+            console.log(`   • Messages: http://localhost:${PORT}/api/messages?room=general&before=<id>&limit=20`);
             console.log('\n💡 Press Ctrl+C to stop the server');
         });
         
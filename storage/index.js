@@ -0,0 +1,25 @@
+// Storage adapters by DB_DRIVER name. Every adapter exposes the same async
+// interface (rooms, users, messages, reactions, attachments, direct messages
+// and stats) so server.js never talks to a database directly.
+// Adapters are required lazily so e.g. the memory adapter works without sqlite3 built.
+const adapters = {
+    mysql: () => require('./mysql').createMysqlStorage,
+    sqlite: () => require('./sqlite').createSqliteStorage,
+    memory: () => require('./memory').createMemoryStorage
+};
+
+// DB_DRIVER from the environment, unless "--db=<driver>" is passed on the command line
+function selectedDriver(argv = process.argv) {
+    const argument = argv.find(arg => arg.startsWith('--db='));
+    return argument ? argument.slice('--db='.length) : process.env.DB_DRIVER;
+}
+
+function createStorage(driver = selectedDriver(), options) {
+    const name = String(driver || 'mysql').toLowerCase();
+    if (!adapters[name]) {
+        throw new Error(`Unknown DB_DRIVER "${driver}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return adapters[name]()(options);
+}
+
+module.exports = { createStorage, selectedDriver };
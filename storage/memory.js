@@ -0,0 +1,553 @@
+const { matchesAllTerms } = require('../search');
+
+// In-memory adapter. Nothing is persisted, which makes it handy for local
+// development and tests. Rows mirror the column names used by the SQL adapters.
+function createMemoryStorage({ defaultRoom = 'general' } = {}) {
+    const tables = {
+        rooms: [],
+        users: [],
+        messages: [],
+        message_edits: [],
+        message_reactions: [],
+        attachments: [],
+        direct_messages: [],
+        ai_conversations: [],
+        ai_messages: [],
+        chat_summaries: [],
+        room_receipts: [],
+        user_sanctions: [],
+        moderation_log: [],
+        ai_usage: [],
+        message_flags: []
+    };
+    const nextIds = {};
+
+    function insert(table, row) {
+        nextIds[table] = (nextIds[table] || 0) + 1;
+        const stored = { id: nextIds[table], ...row };
+        tables[table].push(stored);
+        return stored;
+    }
+
+    function findById(table, id) {
+        return tables[table].find(row => row.id === id) || null;
+    }
+
+    // Callers get copies so they cannot change stored rows by accident
+    function copy(row) {
+        return row ? { ...row } : null;
+    }
+
+    function sameUsername(a, b) {
+        return a.toLowerCase() === b.toLowerCase();
+    }
+
+    function findUserRow(username) {
+        return tables.users.find(existing => sameUsername(existing.username, username)) || null;
+    }
+
+    function findChatSummary({ room, firstMessageId, lastMessageId, fingerprint, provider, model }) {
+        return tables.chat_summaries.find(summary =>
+            summary.room === room && summary.first_message_id === firstMessageId &&
+            summary.last_message_id === lastMessageId && summary.fingerprint === fingerprint &&
+            summary.provider === provider && summary.model === model
+        ) || null;
+    }
+
+    function forgetChatSummaries(message) {
+        tables.chat_summaries = tables.chat_summaries.filter(summary =>
+            !(summary.room === message.room && summary.first_message_id <= message.id && summary.last_message_id >= message.id)
+        );
+    }
+
+    // Newest first, like ORDER BY timestamp DESC with the id as a tie-breaker
+    function byTimestampDesc(a, b) {
+        return (b.timestamp - a.timestamp) || (b.id - a.id);
+    }
+
+    return {
+        // There is no schema to migrate; every start begins empty
+        migrator: null,
+
+        async connect() {},
+
+        async init() {
+            insert('rooms', { name: defaultRoom, created_by: 'System', created_at: new Date(), ai_enabled: 1 });
+            console.log('✅ In-memory storage ready (data is lost on restart)');
+        },
+
+        async close() {},
+
+        describe() {
+            return 'in-memory';
+        },
+
+        // Rooms
+        async listRooms() {
+            return tables.rooms
+                .map(({ name, created_by, created_at, ai_enabled }) => ({ name, created_by, created_at, ai_enabled }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        async getRoom(name) {
+            const room = tables.rooms.find(existing => existing.name === name);
+            return room ? { name: room.name, created_by: room.created_by, created_at: room.created_at, ai_enabled: room.ai_enabled } : null;
+        },
+
+        async setRoomAiEnabled(name, enabled) {
+            const room = tables.rooms.find(existing => existing.name === name);
+            if (room) room.ai_enabled = enabled ? 1 : 0;
+        },
+
+        async createRoom(name, createdBy) {
+            if (tables.rooms.some(room => room.name === name)) return false;
+            insert('rooms', { name, created_by: createdBy, created_at: new Date(), ai_enabled: 1 });
+            return true;
+        },
+
+        async roomExists(name) {
+            return tables.rooms.some(room => room.name === name);
+        },
+
+        // Users (username lookups are case-insensitive)
+        async createUser(username, passwordHash) {
+            if (tables.users.some(user => sameUsername(user.username, username))) return false;
+            insert('users', { username, password_hash: passwordHash, role: 'member', created_at: new Date(), last_seen_at: null });
+            return true;
+        },
+
+        async findUser(username) {
+            const user = findUserRow(username);
+            return user ? { username: user.username, password_hash: user.password_hash, role: user.role } : null;
+        },
+
+        async setUserRole(username, role) {
+            const user = findUserRow(username);
+            if (!user) return false;
+            user.role = role;
+            return true;
+        },
+
+        async getLastSeen(username) {
+            const user = findUserRow(username);
+            return user ? user.last_seen_at : null;
+        },
+
+        async setLastSeen(username, seenAt) {
+            const user = findUserRow(username);
+            if (user) user.last_seen_at = seenAt;
+        },
+
+        // Messages
+        async listMessages(room, before, limit) {
+            return tables.messages
+                .filter(message => message.room === room && (!before || message.id < before))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async listMessagesAfter(room, after, limit) {
+            return tables.messages
+                .filter(message => message.room === room && message.id > after)
+                .sort((a, b) => a.id - b.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async searchMessages({ terms, username, room, from, to, before, limit }) {
+            return tables.messages
+                .filter(message => !message.deleted_at && matchesAllTerms(message.text, terms) &&
+                    (!username || message.username === username) &&
+                    (!room || message.room === room) &&
+                    (!from || message.timestamp >= from) &&
+                    (!to || message.timestamp <= to) &&
+                    (!before || message.id < before))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async listMessagesBetween(room, from, to, limit) {
+            return tables.messages
+                .filter(message => message.room === room && !message.deleted_at &&
+                    (!from || message.timestamp > from) && message.timestamp <= to)
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async getMessage(id) {
+            return copy(findById('messages', id));
+        },
+
+        async getMessages(ids) {
+            return tables.messages.filter(message => ids.includes(message.id)).map(copy);
+        },
+
+        async listReplies(parentId, after, limit) {
+            return tables.messages
+                .filter(message => message.reply_to === parentId && message.id > (after || 0))
+                .sort((a, b) => a.id - b.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async countReplies(messageIds) {
+            const counts = new Map();
+            for (const message of tables.messages) {
+                if (!messageIds.includes(message.reply_to) || message.deleted_at) continue;
+                const count = counts.get(message.reply_to) || { reply_to: message.reply_to, reply_count: 0, last_reply_at: null };
+                count.reply_count++;
+                if (!count.last_reply_at || message.timestamp > count.last_reply_at) count.last_reply_at = message.timestamp;
+                counts.set(message.reply_to, count);
+            }
+            return [...counts.values()];
+        },
+
+        async insertMessage({ username, text, room, timestamp, replyTo = null, clientId = null, action = false }) {
+            // Same rule as the unique (username, client_id) index in SQL
+            if (clientId && tables.messages.some(message => message.username === username && message.client_id === clientId)) {
+                throw new Error(`Duplicate client message id ${clientId}`);
+            }
+            return insert('messages', {
+                username,
+                text,
+                room,
+                timestamp,
+                reply_to: replyTo,
+                client_id: clientId,
+                action: action ? 1 : 0,
+                edited_at: null,
+                deleted_at: null
+            }).id;
+        },
+
+        async findMessageByClientId(username, clientId) {
+            return copy(tables.messages.find(message => message.username === username && message.client_id === clientId));
+        },
+
+        async editMessage(message, text, editedBy, editedAt) {
+            insert('message_edits', {
+                message_id: message.id,
+                action: 'edit',
+                previous_text: message.text,
+                edited_by: editedBy,
+                edited_at: editedAt
+            });
+            Object.assign(findById('messages', message.id), { text, edited_at: editedAt });
+            forgetChatSummaries(message);
+        },
+
+        async deleteMessage(message, deletedBy, deletedAt) {
+            insert('message_edits', {
+                message_id: message.id,
+                action: 'delete',
+                previous_text: message.text,
+                edited_by: deletedBy,
+                edited_at: deletedAt
+            });
+            findById('messages', message.id).deleted_at = deletedAt;
+            forgetChatSummaries(message);
+        },
+
+        // Read receipts
+        async listRoomReceipts(room) {
+            return tables.room_receipts
+                .filter(receipt => receipt.room === room)
+                .sort((a, b) => a.username.localeCompare(b.username))
+                .map(({ username, last_delivered_id, last_read_id }) => ({ username, last_delivered_id, last_read_id }));
+        },
+
+        async advanceRoomReceipt({ room, username, deliveredId = 0, readId = 0, updatedAt }) {
+            let receipt = tables.room_receipts.find(existing => existing.room === room && existing.username === username);
+            if (!receipt) {
+                receipt = insert('room_receipts', { room, username, last_delivered_id: 0, last_read_id: 0, updated_at: updatedAt });
+            }
+
+            const delivered = Math.max(receipt.last_delivered_id, deliveredId, readId);
+            const read = Math.max(receipt.last_read_id, readId);
+            if (delivered === receipt.last_delivered_id && read === receipt.last_read_id) return null;
+
+            Object.assign(receipt, { last_delivered_id: delivered, last_read_id: read, updated_at: updatedAt });
+            return { username, last_delivered_id: delivered, last_read_id: read };
+        },
+
+        // Room summaries
+        async getChatSummary(range) {
+            return copy(findChatSummary(range));
+        },
+
+        async saveChatSummary({ room, firstMessageId, lastMessageId, fingerprint, provider, model, summary, createdAt }) {
+            if (findChatSummary({ room, firstMessageId, lastMessageId, fingerprint, provider, model })) return;
+            insert('chat_summaries', {
+                room,
+                first_message_id: firstMessageId,
+                last_message_id: lastMessageId,
+                fingerprint,
+                provider,
+                model,
+                summary,
+                created_at: createdAt
+            });
+        },
+
+        // Reactions
+        async addReaction(messageId, username, emoji) {
+            const exists = tables.message_reactions.some(reaction =>
+                reaction.message_id === messageId && reaction.username === username && reaction.emoji === emoji
+            );
+            if (!exists) {
+                insert('message_reactions', { message_id: messageId, username, emoji, created_at: new Date() });
+            }
+        },
+
+        async removeReaction(messageId, username, emoji) {
+            tables.message_reactions = tables.message_reactions.filter(reaction =>
+                !(reaction.message_id === messageId && reaction.username === username && reaction.emoji === emoji)
+            );
+        },
+
+        async listReactions(messageIds) {
+            return tables.message_reactions
+                .filter(reaction => messageIds.includes(reaction.message_id))
+                .map(({ message_id, emoji, username }) => ({ message_id, emoji, username }));
+        },
+
+        // Attachments (message_id stays null until the upload is sent)
+        async createAttachment({ uploader, originalName, mimeType, size, storageName }) {
+            return insert('attachments', {
+                message_id: null,
+                uploader,
+                original_name: originalName,
+                mime_type: mimeType,
+                size,
+                storage_name: storageName,
+                created_at: new Date()
+            }).id;
+        },
+
+        async listPendingAttachments(uploader, ids) {
+            return tables.attachments
+                .filter(attachment => ids.includes(attachment.id) && attachment.uploader === uploader && !attachment.message_id)
+                .map(copy);
+        },
+
+        async linkAttachments(messageId, ids) {
+            for (const attachment of tables.attachments) {
+                if (ids.includes(attachment.id)) attachment.message_id = messageId;
+            }
+        },
+
+        async listAttachments(messageIds) {
+            return tables.attachments
+                .filter(attachment => messageIds.includes(attachment.message_id))
+                .map(copy);
+        },
+
+        async getAttachment(id) {
+            const attachment = findById('attachments', id);
+            if (!attachment) return null;
+            const message = attachment.message_id ? findById('messages', attachment.message_id) : null;
+            return { ...attachment, deleted_at: message ? message.deleted_at : null };
+        },
+
+        // Direct messages
+        async listDirectConversations(username) {
+            const conversations = new Map();
+            for (const message of tables.direct_messages) {
+                if (message.sender !== username && message.recipient !== username) continue;
+
+                const partner = message.sender === username ? message.recipient : message.sender;
+                const conversation = conversations.get(partner) || { partner, last_timestamp: message.timestamp, unread: 0 };
+                if (message.timestamp > conversation.last_timestamp) conversation.last_timestamp = message.timestamp;
+                if (message.recipient === username && !message.read_at) conversation.unread++;
+                conversations.set(partner, conversation);
+            }
+            return [...conversations.values()].sort((a, b) => b.last_timestamp - a.last_timestamp);
+        },
+
+        async listDirectMessages(username, partner, limit) {
+            return tables.direct_messages
+                .filter(message =>
+                    (message.sender === username && message.recipient === partner) ||
+                    (message.sender === partner && message.recipient === username)
+                )
+                .sort(byTimestampDesc)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async insertDirectMessage({ sender, recipient, text, timestamp }) {
+            return insert('direct_messages', { sender, recipient, text, timestamp, read_at: null }).id;
+        },
+
+        async markDirectRead(sender, recipient, readAt) {
+            for (const message of tables.direct_messages) {
+                if (message.sender === sender && message.recipient === recipient && !message.read_at) {
+                    message.read_at = readAt;
+                }
+            }
+        },
+
+        // AI conversations (callers check that the conversation belongs to the user)
+        async listAiConversations(username) {
+            return tables.ai_conversations
+                .filter(conversation => conversation.username === username)
+                .sort((a, b) => (b.updated_at - a.updated_at) || (b.id - a.id))
+                .map(({ id, title, created_at, updated_at }) => ({ id, title, created_at, updated_at }));
+        },
+
+        async getAiConversation(id) {
+            return copy(findById('ai_conversations', id));
+        },
+
+        async createAiConversation(username, title, createdAt) {
+            return insert('ai_conversations', {
+                username,
+                title,
+                summary: null,
+                summarized_until: null,
+                created_at: createdAt,
+                updated_at: createdAt
+            }).id;
+        },
+
+        async renameAiConversation(id, title) {
+            findById('ai_conversations', id).title = title;
+        },
+
+        async deleteAiConversation(id) {
+            tables.ai_messages = tables.ai_messages.filter(message => message.conversation_id !== id);
+            tables.ai_conversations = tables.ai_conversations.filter(conversation => conversation.id !== id);
+        },
+
+        async listAiMessages(conversationId) {
+            return tables.ai_messages
+                .filter(message => message.conversation_id === conversationId)
+                .map(({ id, role, content, created_at }) => ({ id, role, content, created_at }));
+        },
+
+        // Also bumps the conversation to the top of the owner's list
+        async insertAiMessage({ conversationId, role, content, createdAt }) {
+            const message = insert('ai_messages', { conversation_id: conversationId, role, content, created_at: createdAt });
+            findById('ai_conversations', conversationId).updated_at = createdAt;
+            return message.id;
+        },
+
+        async updateAiSummary(id, summary, summarizedUntil) {
+            Object.assign(findById('ai_conversations', id), { summary, summarized_until: summarizedUntil });
+        },
+
+        // AI usage per user and day
+        async countAiRequest({ username, day, limit, usedAt }) {
+            let usage = tables.ai_usage.find(row => row.day === day && sameUsername(row.username, username));
+            if (!usage) {
+                usage = insert('ai_usage', { username, day, requests: 0, updated_at: usedAt });
+            }
+            if (usage.requests >= limit) return false;
+            usage.requests += 1;
+            usage.updated_at = usedAt;
+            return true;
+        },
+
+        async getAiUsage(username, day) {
+            const usage = tables.ai_usage.find(row => row.day === day && sameUsername(row.username, username));
+            return usage ? usage.requests : 0;
+        },
+
+        // Moderation
+        async listActiveSanctions({ username = null, ip = null, now }) {
+            return tables.user_sanctions
+                .filter(sanction => !sanction.lifted_at && (!sanction.expires_at || sanction.expires_at > now))
+                .filter(sanction => (!username && !ip) ||
+                    (username && sanction.username && sameUsername(sanction.username, username)) ||
+                    (ip && sanction.ip === ip))
+                .sort((a, b) => b.id - a.id)
+                .map(copy);
+        },
+
+        async createSanction({ kind, username = null, ip = null, reason = null, createdBy, createdAt, expiresAt = null }) {
+            return insert('user_sanctions', {
+                kind, username, ip, reason, created_by: createdBy, created_at: createdAt,
+                expires_at: expiresAt, lifted_at: null, lifted_by: null
+            }).id;
+        },
+
+        async liftSanctions({ kind, username = null, ip = null, liftedBy, liftedAt }) {
+            const lifted = tables.user_sanctions.filter(sanction =>
+                sanction.kind === kind && !sanction.lifted_at &&
+                (username ? sanction.username && sameUsername(sanction.username, username) : sanction.ip === ip)
+            );
+            lifted.forEach(sanction => {
+                sanction.lifted_at = liftedAt;
+                sanction.lifted_by = liftedBy;
+            });
+            return lifted.length;
+        },
+
+        async insertModerationAction({ moderator, action, targetUsername = null, targetIp = null, messageId = null,
+            room = null, reason = null, expiresAt = null, newRole = null, createdAt }) {
+            insert('moderation_log', {
+                moderator, action, target_username: targetUsername, target_ip: targetIp, message_id: messageId,
+                room, reason, expires_at: expiresAt, new_role: newRole, created_at: createdAt
+            });
+        },
+
+        async listModerationActions(before, limit) {
+            return tables.moderation_log
+                .filter(entry => !before || entry.id < before)
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        // Review queue
+        async insertMessageFlag({ messageId, room, username, text, filter, reason = null, createdAt }) {
+            return insert('message_flags', {
+                message_id: messageId,
+                room,
+                username,
+                text,
+                filter,
+                reason,
+                created_at: createdAt,
+                resolution: null,
+                reviewed_by: null,
+                reviewed_at: null
+            }).id;
+        },
+
+        async getMessageFlag(id) {
+            return copy(findById('message_flags', id));
+        },
+
+        async listMessageFlags({ pending = true, before = null, limit }) {
+            return tables.message_flags
+                .filter(flag => (!pending || !flag.resolution) && (!before || flag.id < before))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(flag => {
+                    const message = findById('messages', flag.message_id);
+                    return { ...copy(flag), message_deleted_at: message ? message.deleted_at || null : null };
+                });
+        },
+
+        async resolveMessageFlags({ messageId, resolution, reviewedBy, reviewedAt }) {
+            const flags = tables.message_flags.filter(flag => flag.message_id === messageId && !flag.resolution);
+            flags.forEach(flag => Object.assign(flag, { resolution, reviewed_by: reviewedBy, reviewed_at: reviewedAt }));
+            return flags.length;
+        },
+
+        // Stats
+        async getStats(recentLimit) {
+            return {
+                totalMessages: tables.messages.length,
+                totalReactions: tables.message_reactions.length,
+                recentMessages: [...tables.messages].sort(byTimestampDesc).slice(0, recentLimit).map(copy)
+            };
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations for the SQL adapters.
+// Files in migrations/ are named "<version>_<name>.js" and export async up(db)
+// and down(db). Applied versions are recorded in the schema_migrations table.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            id: `${version}_${name}`,
+            version: Number(version),
+            name,
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// db is the adapter's migration driver:
+//   dialect               -> 'mysql' or 'sqlite'
+//   all(sql, params)      -> rows
+//   run(sql, params)      -> { insertId, affectedRows }
+//   hasColumn(table, col) -> whether the column exists (for databases created before migrations)
+//   transaction(fn)       -> runs fn atomically where the dialect allows DDL in transactions
+function createMigrator(db) {
+    const migrations = loadMigrations();
+
+    async function ensureMigrationsTable() {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    }
+
+    async function appliedVersions() {
+        await ensureMigrationsTable();
+        const rows = await db.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [Number(row.version), row.applied_at]));
+    }
+
+    async function status() {
+        const applied = await appliedVersions();
+        return migrations.map(migration => ({
+            id: migration.id,
+            version: migration.version,
+            name: migration.name,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version) : null
+        }));
+    }
+
+    async function pending() {
+        const applied = await appliedVersions();
+        return migrations.filter(migration => !applied.has(migration.version));
+    }
+
+    // Applies every pending migration in version order; returns the ones applied
+    async function up() {
+        const toApply = await pending();
+        for (const migration of toApply) {
+            await db.transaction(async () => {
+                await migration.up(db);
+                await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            });
+            console.log(`⬆️  Applied migration ${migration.id}`);
+        }
+        return toApply;
+    }
+
+    // Reverts the most recently applied migrations (one by default); returns the ones reverted
+    async function down(steps = 1) {
+        const applied = await appliedVersions();
+        const toRevert = migrations
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            await db.transaction(async () => {
+                await migration.down(db);
+                await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+            console.log(`⬇️  Reverted migration ${migration.id}`);
+        }
+        return toRevert;
+    }
+
+    // Used at startup: serving requests against an outdated schema fails in confusing ways
+    async function assertUpToDate() {
+        const waiting = await pending();
+        if (waiting.length > 0) {
+            const names = waiting.map(migration => migration.id).join(', ');
+            throw new Error(`${waiting.length} pending migration(s): ${names}. Run "npm run migrate" first.`);
+        }
+    }
+
+    return { status, pending, up, down, assertUpToDate };
+}
+
+module.exports = { createMigrator };
@@ -0,0 +1,99 @@
+const mysql = require('mysql2/promise');
+const { createSqlStorage } = require('./sql');
+const { createMigrator } = require('./migrator');
+
+// MySQL adapter. Connection settings come from DB_HOST, DB_USER, DB_PASSWORD and DB_NAME.
+function createMysqlStorage() {
+    const dbConfig = {
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        database: process.env.DB_NAME || 'chat_app',
+        charset: 'utf8mb4'
+    };
+
+    let db;
+
+    async function connect() {
+        try {
+            // First, create database if it doesn't exist
+            const tempConnection = await mysql.createConnection({
+                host: dbConfig.host,
+                user: dbConfig.user,
+                password: dbConfig.password,
+                charset: 'utf8mb4'
+            });
+
+            await tempConnection.execute(`CREATE DATABASE IF NOT EXISTS ${dbConfig.database}`);
+            await tempConnection.end();
+
+            // Now connect to the specific database
+            db = await mysql.createConnection(dbConfig);
+            console.log('✅ Database connected successfully');
+
+        } catch (error) {
+            console.error('❌ Database connection failed:', error.message);
+            console.error('Please make sure MySQL is running and credentials are correct');
+            throw error;
+        }
+    }
+
+    async function all(sql, params = []) {
+        const [rows] = await db.execute(sql, params);
+        return rows;
+    }
+
+    async function run(sql, params = []) {
+        const [result] = await db.execute(sql, params);
+        return { insertId: result.insertId, affectedRows: result.affectedRows };
+    }
+
+    // MySQL commits DDL implicitly, so migrations cannot be wrapped in a transaction
+    const migrator = createMigrator({
+        dialect: 'mysql',
+        all,
+        run,
+        async hasColumn(table, column) {
+            const rows = await all(
+                `SELECT COUNT(*) as count FROM information_schema.COLUMNS
+                 WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+                [dbConfig.database, table, column]
+            );
+            return rows[0].count > 0;
+        },
+        transaction: fn => fn()
+    });
+
+    const storage = createSqlStorage({
+        insertIgnore: 'INSERT IGNORE',
+        toDbTime: date => date,
+        // Boolean mode: every term required, as a prefix. InnoDB skips words shorter than
+        // innodb_ft_min_token_size (3 by default) and its stopwords.
+        fullTextMatch: terms => ({
+            from: 'messages',
+            where: 'MATCH (messages.text) AGAINST (? IN BOOLEAN MODE)',
+            params: [terms.map(term => `+${term}*`).join(' ')]
+        }),
+        all,
+        run
+    });
+
+    return {
+        ...storage,
+        migrator,
+        connect,
+        // Refuses to start against a schema with pending migrations
+        async init() {
+            await connect();
+            await migrator.assertUpToDate();
+        },
+        async close() {
+            if (db) await db.end();
+        },
+        describe() {
+            return `MySQL (${dbConfig.database}@${dbConfig.host})`;
+        }
+    };
+}
+
+module.exports = { createMysqlStorage };
@@ -0,0 +1,534 @@
+// Storage queries shared by the MySQL and SQLite adapters.
+// Each adapter supplies a small driver:
+//   all(sql, params)  -> rows
+//   run(sql, params)  -> { insertId, affectedRows }
+//   toDbTime(date)    -> value to bind for DATETIME/TIMESTAMP columns (times are always
+//                        bound, so SQLite never mixes in CURRENT_TIMESTAMP's format)
+//   insertIgnore      -> the dialect's "insert unless it would violate a unique key"
+//   fullTextMatch(terms) -> { from, where, params } finding messages that contain every
+//                        search term as a word prefix (see search.js)
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+function createSqlStorage(driver) {
+    const { all, run, toDbTime, insertIgnore, fullTextMatch } = driver;
+
+    async function get(sql, params) {
+        const rows = await all(sql, params);
+        return rows[0] || null;
+    }
+
+    async function forgetChatSummaries(message) {
+        await run(
+            'DELETE FROM chat_summaries WHERE room = ? AND first_message_id <= ? AND last_message_id >= ?',
+            [message.room, message.id, message.id]
+        );
+    }
+
+    return {
+        // Rooms
+        listRooms() {
+            return all('SELECT name, created_by, created_at, ai_enabled FROM rooms ORDER BY name');
+        },
+
+        getRoom(name) {
+            return get('SELECT name, created_by, created_at, ai_enabled FROM rooms WHERE name = ?', [name]);
+        },
+
+        async setRoomAiEnabled(name, enabled) {
+            await run('UPDATE rooms SET ai_enabled = ? WHERE name = ?', [enabled ? 1 : 0, name]);
+        },
+
+        async createRoom(name, createdBy) {
+            const result = await run(
+                `${insertIgnore} INTO rooms (name, created_by, created_at) VALUES (?, ?, ?)`,
+                [name, createdBy, toDbTime(new Date())]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async roomExists(name) {
+            return Boolean(await get('SELECT name FROM rooms WHERE name = ?', [name]));
+        },
+
+        // Users (username lookups are case-insensitive)
+        async createUser(username, passwordHash) {
+            const result = await run(
+                `${insertIgnore} INTO users (username, password_hash, created_at) VALUES (?, ?, ?)`,
+                [username, passwordHash, toDbTime(new Date())]
+            );
+            return result.affectedRows > 0;
+        },
+
+        findUser(username) {
+            return get('SELECT username, password_hash, role FROM users WHERE username = ?', [username]);
+        },
+
+        async setUserRole(username, role) {
+            const result = await run('UPDATE users SET role = ? WHERE username = ?', [role, username]);
+            return result.affectedRows > 0;
+        },
+
+        // When the user's last connection closed (null if never recorded)
+        async getLastSeen(username) {
+            const row = await get('SELECT last_seen_at FROM users WHERE username = ?', [username]);
+            return row && row.last_seen_at ? new Date(row.last_seen_at) : null;
+        },
+
+        async setLastSeen(username, seenAt) {
+            await run('UPDATE users SET last_seen_at = ? WHERE username = ?', [toDbTime(seenAt), username]);
+        },
+
+        // Messages
+        listMessages(room, before, limit) {
+            return all(
+                `SELECT * FROM messages WHERE room = ?${before ? ' AND id < ?' : ''}
+                 ORDER BY id DESC LIMIT ${Number(limit)}`,
+                before ? [room, before] : [room]
+            );
+        },
+
+        // Oldest first, for showing a message with what came after it
+        listMessagesAfter(room, after, limit) {
+            return all(
+                `SELECT * FROM messages WHERE room = ? AND id > ? ORDER BY id LIMIT ${Number(limit)}`,
+                [room, after]
+            );
+        },
+
+        // Newest first. `terms` come from search.parseSearchQuery; the other filters are optional.
+        searchMessages({ terms, username, room, from, to, before, limit }) {
+            const match = fullTextMatch(terms);
+            const conditions = [match.where, 'messages.deleted_at IS NULL'];
+            const params = [...match.params];
+            const filters = [
+                [username, 'messages.username = ?', username],
+                [room, 'messages.room = ?', room],
+                [from, 'messages.timestamp >= ?', from && toDbTime(from)],
+                [to, 'messages.timestamp <= ?', to && toDbTime(to)],
+                [before, 'messages.id < ?', before]
+            ];
+            for (const [value, condition, param] of filters) {
+                if (!value) continue;
+                conditions.push(condition);
+                params.push(param);
+            }
+
+            return all(
+                `SELECT messages.* FROM ${match.from}
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY messages.id DESC LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        // Newest first: messages that are not deleted, posted after `from` (if given) and up to `to`
+        listMessagesBetween(room, from, to, limit) {
+            return all(
+                `SELECT * FROM messages
+                 WHERE room = ? AND deleted_at IS NULL${from ? ' AND timestamp > ?' : ''} AND timestamp <= ?
+                 ORDER BY id DESC LIMIT ${Number(limit)}`,
+                from ? [room, toDbTime(from), toDbTime(to)] : [room, toDbTime(to)]
+            );
+        },
+
+        getMessage(id) {
+            return get('SELECT * FROM messages WHERE id = ?', [id]);
+        },
+
+        async getMessages(ids) {
+            if (ids.length === 0) return [];
+            return all(`SELECT * FROM messages WHERE id IN (${placeholders(ids)})`, ids);
+        },
+
+        // A thread's replies, oldest first, after the `after` cursor
+        listReplies(parentId, after, limit) {
+            return all(
+                `SELECT * FROM messages WHERE reply_to = ? AND id > ? ORDER BY id LIMIT ${Number(limit)}`,
+                [parentId, after || 0]
+            );
+        },
+
+        // [{ reply_to, reply_count, last_reply_at }] for those of the messages that have replies
+        async countReplies(messageIds) {
+            if (messageIds.length === 0) return [];
+            return all(
+                `SELECT reply_to, COUNT(*) AS reply_count, MAX(timestamp) AS last_reply_at FROM messages
+                 WHERE reply_to IN (${placeholders(messageIds)}) AND deleted_at IS NULL
+                 GROUP BY reply_to`,
+                messageIds
+            );
+        },
+
+        async insertMessage({ username, text, room, timestamp, replyTo = null, clientId = null, action = false }) {
+            const result = await run(
+                'INSERT INTO messages (username, text, room, timestamp, reply_to, client_id, action) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [username, text, room, toDbTime(timestamp), replyTo, clientId, action ? 1 : 0]
+            );
+            return result.insertId;
+        },
+
+        findMessageByClientId(username, clientId) {
+            return get('SELECT * FROM messages WHERE username = ? AND client_id = ?', [username, clientId]);
+        },
+
+        // Keeps the previous text in message_edits so moderators can see what changed,
+        // and drops cached summaries that quoted the old text
+        async editMessage(message, text, editedBy, editedAt) {
+            await run(
+                'INSERT INTO message_edits (message_id, action, previous_text, edited_by, edited_at) VALUES (?, ?, ?, ?, ?)',
+                [message.id, 'edit', message.text, editedBy, toDbTime(editedAt)]
+            );
+            await run('UPDATE messages SET text = ?, edited_at = ? WHERE id = ?', [text, toDbTime(editedAt), message.id]);
+            await forgetChatSummaries(message);
+        },
+
+        async deleteMessage(message, deletedBy, deletedAt) {
+            await run(
+                'INSERT INTO message_edits (message_id, action, previous_text, edited_by, edited_at) VALUES (?, ?, ?, ?, ?)',
+                [message.id, 'delete', message.text, deletedBy, toDbTime(deletedAt)]
+            );
+            await run('UPDATE messages SET deleted_at = ? WHERE id = ?', [toDbTime(deletedAt), message.id]);
+            await forgetChatSummaries(message);
+        },
+
+        // Read receipts
+        listRoomReceipts(room) {
+            return all(
+                'SELECT username, last_delivered_id, last_read_id FROM room_receipts WHERE room = ? ORDER BY username',
+                [room]
+            );
+        },
+
+        // Moves the user's watermarks forward (never back; reading implies delivery).
+        // Resolves to the new receipt, or null when nothing changed.
+        async advanceRoomReceipt({ room, username, deliveredId = 0, readId = 0, updatedAt }) {
+            const select = 'SELECT username, last_delivered_id, last_read_id FROM room_receipts WHERE room = ? AND username = ?';
+            await run(
+                `${insertIgnore} INTO room_receipts (room, username, updated_at) VALUES (?, ?, ?)`,
+                [room, username, toDbTime(updatedAt)]
+            );
+            const before = await get(select, [room, username]);
+
+            const delivered = Math.max(deliveredId, readId);
+            await run(
+                `UPDATE room_receipts SET
+                    last_delivered_id = CASE WHEN last_delivered_id < ? THEN ? ELSE last_delivered_id END,
+                    last_read_id = CASE WHEN last_read_id < ? THEN ? ELSE last_read_id END,
+                    updated_at = ?
+                 WHERE room = ? AND username = ?`,
+                [delivered, delivered, readId, readId, toDbTime(updatedAt), room, username]
+            );
+            const after = await get(select, [room, username]);
+
+            const changed = after.last_delivered_id !== before.last_delivered_id || after.last_read_id !== before.last_read_id;
+            return changed ? after : null;
+        },
+
+        // Room summaries, cached per message range, transcript fingerprint and model
+        getChatSummary({ room, firstMessageId, lastMessageId, fingerprint, provider, model }) {
+            return get(
+                `SELECT * FROM chat_summaries
+                 WHERE room = ? AND first_message_id = ? AND last_message_id = ? AND fingerprint = ?
+                 AND provider = ? AND model = ?`,
+                [room, firstMessageId, lastMessageId, fingerprint, provider, model]
+            );
+        },
+
+        async saveChatSummary({ room, firstMessageId, lastMessageId, fingerprint, provider, model, summary, createdAt }) {
+            await run(
+                `${insertIgnore} INTO chat_summaries
+                 (room, first_message_id, last_message_id, fingerprint, provider, model, summary, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [room, firstMessageId, lastMessageId, fingerprint, provider, model, summary, toDbTime(createdAt)]
+            );
+        },
+
+        // Reactions
+        async addReaction(messageId, username, emoji) {
+            await run(
+                `${insertIgnore} INTO message_reactions (message_id, username, emoji, created_at) VALUES (?, ?, ?, ?)`,
+                [messageId, username, emoji, toDbTime(new Date())]
+            );
+        },
+
+        async removeReaction(messageId, username, emoji) {
+            await run(
+                'DELETE FROM message_reactions WHERE message_id = ? AND username = ? AND emoji = ?',
+                [messageId, username, emoji]
+            );
+        },
+
+        async listReactions(messageIds) {
+            if (messageIds.length === 0) return [];
+            return all(
+                `SELECT message_id, emoji, username FROM message_reactions
+                 WHERE message_id IN (${placeholders(messageIds)})
+                 ORDER BY id`,
+                messageIds
+            );
+        },
+
+        // Attachments (message_id stays NULL until the upload is sent)
+        async createAttachment({ uploader, originalName, mimeType, size, storageName }) {
+            const result = await run(
+                `INSERT INTO attachments (uploader, original_name, mime_type, size, storage_name, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [uploader, originalName, mimeType, size, storageName, toDbTime(new Date())]
+            );
+            return result.insertId;
+        },
+
+        async listPendingAttachments(uploader, ids) {
+            if (ids.length === 0) return [];
+            return all(
+                `SELECT * FROM attachments
+                 WHERE id IN (${placeholders(ids)}) AND uploader = ? AND message_id IS NULL`,
+                [...ids, uploader]
+            );
+        },
+
+        async linkAttachments(messageId, ids) {
+            if (ids.length === 0) return;
+            await run(`UPDATE attachments SET message_id = ? WHERE id IN (${placeholders(ids)})`, [messageId, ...ids]);
+        },
+
+        async listAttachments(messageIds) {
+            if (messageIds.length === 0) return [];
+            return all(
+                `SELECT * FROM attachments WHERE message_id IN (${placeholders(messageIds)}) ORDER BY id`,
+                messageIds
+            );
+        },
+
+        // Includes the owning message's deleted_at so callers can hide removed files
+        getAttachment(id) {
+            return get(
+                `SELECT a.*, m.deleted_at FROM attachments a
+                 LEFT JOIN messages m ON m.id = a.message_id
+                 WHERE a.id = ?`,
+                [id]
+            );
+        },
+
+        // Direct messages
+        listDirectConversations(username) {
+            return all(
+                `SELECT CASE WHEN sender = ? THEN recipient ELSE sender END AS partner,
+                        MAX(timestamp) AS last_timestamp,
+                        SUM(CASE WHEN recipient = ? AND read_at IS NULL THEN 1 ELSE 0 END) AS unread
+                 FROM direct_messages
+                 WHERE sender = ? OR recipient = ?
+                 GROUP BY partner
+                 ORDER BY last_timestamp DESC`,
+                [username, username, username, username]
+            );
+        },
+
+        listDirectMessages(username, partner, limit) {
+            return all(
+                `SELECT * FROM direct_messages
+                 WHERE (sender = ? AND recipient = ?) OR (sender = ? AND recipient = ?)
+                 ORDER BY timestamp DESC LIMIT ${Number(limit)}`,
+                [username, partner, partner, username]
+            );
+        },
+
+        async insertDirectMessage({ sender, recipient, text, timestamp }) {
+            const result = await run(
+                'INSERT INTO direct_messages (sender, recipient, text, timestamp) VALUES (?, ?, ?, ?)',
+                [sender, recipient, text, toDbTime(timestamp)]
+            );
+            return result.insertId;
+        },
+
+        async markDirectRead(sender, recipient, readAt) {
+            await run(
+                'UPDATE direct_messages SET read_at = ? WHERE sender = ? AND recipient = ? AND read_at IS NULL',
+                [toDbTime(readAt), sender, recipient]
+            );
+        },
+
+        // AI conversations (callers check that the conversation belongs to the user)
+        listAiConversations(username) {
+            return all(
+                `SELECT id, title, created_at, updated_at FROM ai_conversations
+                 WHERE username = ? ORDER BY updated_at DESC, id DESC`,
+                [username]
+            );
+        },
+
+        getAiConversation(id) {
+            return get('SELECT * FROM ai_conversations WHERE id = ?', [id]);
+        },
+
+        async createAiConversation(username, title, createdAt) {
+            const result = await run(
+                'INSERT INTO ai_conversations (username, title, created_at, updated_at) VALUES (?, ?, ?, ?)',
+                [username, title, toDbTime(createdAt), toDbTime(createdAt)]
+            );
+            return result.insertId;
+        },
+
+        async renameAiConversation(id, title) {
+            await run('UPDATE ai_conversations SET title = ? WHERE id = ?', [title, id]);
+        },
+
+        async deleteAiConversation(id) {
+            await run('DELETE FROM ai_messages WHERE conversation_id = ?', [id]);
+            await run('DELETE FROM ai_conversations WHERE id = ?', [id]);
+        },
+
+        listAiMessages(conversationId) {
+            return all(
+                'SELECT id, role, content, created_at FROM ai_messages WHERE conversation_id = ? ORDER BY id',
+                [conversationId]
+            );
+        },
+
+        // Also bumps the conversation to the top of the owner's list
+        async insertAiMessage({ conversationId, role, content, createdAt }) {
+            const result = await run(
+                'INSERT INTO ai_messages (conversation_id, role, content, created_at) VALUES (?, ?, ?, ?)',
+                [conversationId, role, content, toDbTime(createdAt)]
+            );
+            await run('UPDATE ai_conversations SET updated_at = ? WHERE id = ?', [toDbTime(createdAt), conversationId]);
+            return result.insertId;
+        },
+
+        async updateAiSummary(id, summary, summarizedUntil) {
+            await run(
+                'UPDATE ai_conversations SET summary = ?, summarized_until = ? WHERE id = ?',
+                [summary, summarizedUntil, id]
+            );
+        },
+
+        // AI usage per user and day (see rateLimit.js). Counts one request unless the
+        // user already made `limit` that day; resolves to whether it was counted.
+        async countAiRequest({ username, day, limit, usedAt }) {
+            await run(
+                `${insertIgnore} INTO ai_usage (username, day, updated_at) VALUES (?, ?, ?)`,
+                [username, day, toDbTime(usedAt)]
+            );
+            const result = await run(
+                'UPDATE ai_usage SET requests = requests + 1, updated_at = ? WHERE username = ? AND day = ? AND requests < ?',
+                [toDbTime(usedAt), username, day, limit]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async getAiUsage(username, day) {
+            const row = await get('SELECT requests FROM ai_usage WHERE username = ? AND day = ?', [username, day]);
+            return row ? Number(row.requests) : 0;
+        },
+
+        // Moderation: mutes and bans stay active until expires_at (never when NULL) or until lifted.
+        // Newest first, optionally only those for the username or IP address.
+        listActiveSanctions({ username = null, ip = null, now }) {
+            const conditions = ['lifted_at IS NULL', '(expires_at IS NULL OR expires_at > ?)'];
+            const params = [toDbTime(now)];
+            const targets = [[username, 'username = ?'], [ip, 'ip = ?']].filter(([value]) => value);
+            if (targets.length > 0) {
+                conditions.push(`(${targets.map(([, condition]) => condition).join(' OR ')})`);
+                params.push(...targets.map(([value]) => value));
+            }
+            return all(`SELECT * FROM user_sanctions WHERE ${conditions.join(' AND ')} ORDER BY id DESC`, params);
+        },
+
+        async createSanction({ kind, username = null, ip = null, reason = null, createdBy, createdAt, expiresAt = null }) {
+            const result = await run(
+                `INSERT INTO user_sanctions (kind, username, ip, reason, created_by, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [kind, username, ip, reason, createdBy, toDbTime(createdAt), expiresAt && toDbTime(expiresAt)]
+            );
+            return result.insertId;
+        },
+
+        // Lifts the active sanctions of that kind for the username or IP; resolves to how many
+        async liftSanctions({ kind, username = null, ip = null, liftedBy, liftedAt }) {
+            const result = await run(
+                `UPDATE user_sanctions SET lifted_at = ?, lifted_by = ?
+                 WHERE kind = ? AND lifted_at IS NULL AND ${username ? 'username = ?' : 'ip = ?'}`,
+                [toDbTime(liftedAt), liftedBy, kind, username || ip]
+            );
+            return result.affectedRows;
+        },
+
+        async insertModerationAction({ moderator, action, targetUsername = null, targetIp = null, messageId = null,
+            room = null, reason = null, expiresAt = null, newRole = null, createdAt }) {
+            await run(
+                `INSERT INTO moderation_log
+                 (moderator, action, target_username, target_ip, message_id, room, reason, expires_at, new_role, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [moderator, action, targetUsername, targetIp, messageId, room, reason,
+                    expiresAt && toDbTime(expiresAt), newRole, toDbTime(createdAt)]
+            );
+        },
+
+        // Newest first, paged with the id of the oldest entry the caller has
+        listModerationActions(before, limit) {
+            return all(
+                `SELECT * FROM moderation_log${before ? ' WHERE id < ?' : ''} ORDER BY id DESC LIMIT ${Number(limit)}`,
+                before ? [before] : []
+            );
+        },
+
+        // Review queue for messages the message filters flagged
+        async insertMessageFlag({ messageId, room, username, text, filter, reason = null, createdAt }) {
+            const result = await run(
+                `INSERT INTO message_flags (message_id, room, username, text, filter, reason, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [messageId, room, username, text, filter, reason, toDbTime(createdAt)]
+            );
+            return result.insertId;
+        },
+
+        getMessageFlag(id) {
+            return get('SELECT * FROM message_flags WHERE id = ?', [id]);
+        },
+
+        // Newest first, with the message's deleted_at; only unreviewed ones when `pending`
+        listMessageFlags({ pending = true, before = null, limit }) {
+            const conditions = [];
+            const params = [];
+            if (pending) conditions.push('f.resolution IS NULL');
+            if (before) {
+                conditions.push('f.id < ?');
+                params.push(before);
+            }
+            return all(
+                `SELECT f.*, m.deleted_at AS message_deleted_at
+                 FROM message_flags f LEFT JOIN messages m ON m.id = f.message_id
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY f.id DESC LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        // Resolves every unreviewed flag on the message; resolves to how many there were
+        async resolveMessageFlags({ messageId, resolution, reviewedBy, reviewedAt }) {
+            const result = await run(
+                `UPDATE message_flags SET resolution = ?, reviewed_by = ?, reviewed_at = ?
+                 WHERE message_id = ? AND resolution IS NULL`,
+                [resolution, reviewedBy, toDbTime(reviewedAt), messageId]
+            );
+            return result.affectedRows;
+        },
+
+        // Stats
+        async getStats(recentLimit) {
+            const messageCount = await get('SELECT COUNT(*) as count FROM messages');
+            const reactionCount = await get('SELECT COUNT(*) as count FROM message_reactions');
+            const recentMessages = await all(`SELECT * FROM messages ORDER BY timestamp DESC LIMIT ${Number(recentLimit)}`);
+            return {
+                totalMessages: Number(messageCount.count),
+                totalReactions: Number(reactionCount.count),
+                recentMessages
+            };
+        }
+    };
+}
+
+module.exports = { createSqlStorage };
@@ -0,0 +1,101 @@
+const sqlite3 = require('sqlite3').verbose();
+const { createSqlStorage } = require('./sql');
+const { createMigrator } = require('./migrator');
+
+function openDatabase(filename) {
+    return new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve(database)));
+    });
+}
+
+// SQLite adapter. The database file defaults to ./chat_app.db (override with SQLITE_FILE).
+function createSqliteStorage() {
+    const filename = process.env.SQLITE_FILE || './chat_app.db';
+
+    let db;
+
+    function dbRun(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ insertId: this.lastID, affectedRows: this.changes });
+            });
+        });
+    }
+
+    function dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+        });
+    }
+
+    async function connect() {
+        // Create (or open) SQLite database file
+        db = await openDatabase(filename);
+        await dbRun('PRAGMA journal_mode = WAL');
+        await dbRun('PRAGMA foreign_keys = ON');
+        console.log('✅ SQLite database connected successfully');
+    }
+
+    const migrator = createMigrator({
+        dialect: 'sqlite',
+        all: dbAll,
+        run: dbRun,
+        async hasColumn(table, column) {
+            const columns = await dbAll(`PRAGMA table_info(${table})`);
+            return columns.some(existing => existing.name === column);
+        },
+        async transaction(fn) {
+            await dbRun('BEGIN');
+            try {
+                await fn();
+                await dbRun('COMMIT');
+            } catch (error) {
+                await dbRun('ROLLBACK');
+                throw error;
+            }
+        }
+    });
+
+    const storage = createSqlStorage({
+        insertIgnore: 'INSERT OR IGNORE',
+        // ISO strings in UTC, which compare correctly as text (see migrations/021)
+        toDbTime: date => date.toISOString(),
+        // FTS5 prefix queries: "rele"* "plan"* (terms are letters and digits only)
+        fullTextMatch: terms => ({
+            from: 'messages_fts JOIN messages ON messages.id = messages_fts.rowid',
+            where: 'messages_fts MATCH ?',
+            params: [terms.map(term => `"${term}"*`).join(' ')]
+        }),
+        all: dbAll,
+        run: dbRun
+    });
+
+    return {
+        ...storage,
+        migrator,
+        connect,
+        // Refuses to start against a schema with pending migrations
+        async init() {
+            await connect();
+            await migrator.assertUpToDate();
+        },
+        close() {
+            return new Promise((resolve, reject) => {
+                if (!db) {
+                    resolve();
+                    return;
+                }
+                db.close(err => (err ? reject(err) : resolve()));
+            });
+        },
+        describe() {
+            return `SQLite (${filename})`;
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
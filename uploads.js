@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// File attachment storage used by server.js
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 5 * 1024 * 1024; // 5 MB
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// SVG is deliberately missing: it can carry scripts when opened inline
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const ALLOWED_MIME_TYPES = [
+    ...IMAGE_MIME_TYPES,
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip'
+];
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: UPLOAD_DIR,
+        // Random names on disk; the original name is only kept in the database
+        filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex'))
+    }),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            req.rejectedMimeType = file.mimetype;
+            cb(null, false);
+            return;
+        }
+        cb(null, true);
+    }
+});
+
+// Express middleware for a single "file" field; limit violations become JSON errors
+function receiveFile(req, res, next) {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                res.status(413).json({ error: `Files must be ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024)} MB or smaller` });
+                return;
+            }
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        if (err) {
+            next(err);
+            return;
+        }
+        if (req.rejectedMimeType) {
+            res.status(415).json({ error: `Files of type ${req.rejectedMimeType} are not allowed` });
+            return;
+        }
+        if (!req.file) {
+            res.status(400).json({ error: 'No file uploaded' });
+            return;
+        }
+        next();
+    });
+}
+
+function isImage(mimeType) {
+    return IMAGE_MIME_TYPES.includes(mimeType);
+}
+
+function attachmentPath(row) {
+    return path.join(UPLOAD_DIR, path.basename(row.storage_name));
+}
+
+// Images are shown inline, everything else is forced to download
+function contentDisposition(row) {
+    const type = isImage(row.mime_type) ? 'inline' : 'attachment';
+    return `${type}; filename*=UTF-8''${encodeURIComponent(row.original_name)}`;
+}
+
+function toClientAttachment(row) {
+    return {
+        id: row.id,
+        name: row.original_name,
+        mimeType: row.mime_type,
+        size: row.size,
+        isImage: isImage(row.mime_type),
+        url: `/api/attachments/${row.id}`
+    };
+}
+
+function removeFile(file) {
+    fs.unlink(file.path, (err) => {
+        if (err) console.warn('Could not remove upload:', err.message);
+    });
+}
+
+module.exports = {
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    receiveFile,
+    attachmentPath,
+    contentDisposition,
+    toClientAttachment,
+    removeFile
+};